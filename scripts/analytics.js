@@ -1,46 +1,320 @@
 #!/usr/bin/env node
 /**
  * itch.io Game Analytics
- * 
- * Fetches download and view stats for your games.
- * 
+ *
+ * Fetches download and view stats for your games, and keeps a local
+ * history of snapshots so changes can be tracked over time.
+ *
  * Usage:
  *   export ITCH_IO_API_KEY="your-api-key"
  *   node analytics.js [game-id]
+ *   node analytics.js snapshot [game-id]
+ *   node analytics.js trend [game-id] [--days 14]
+ *   node analytics.js portfolio [--out portfolio.html]
+ *
+ * Options:
+ *   --store <file>     Snapshot history file (default: .itch/analytics.jsonl)
+ *   --days <n>         Days of history shown in trend sparklines (default: 14)
+ *   --format <fmt>     Output as text (default), json, csv or markdown
+ *                      (portfolio: text writes the HTML report, the others print the table)
+ *   --out <file>       Portfolio report path (default: portfolio.html)
+ *   --lexicon <file>   Extra sentiment terms for the portfolio's comment scores
+ *                      (or set ITCH_SENTIMENT_LEXICON)
+ *
+ * The portfolio report is a single HTML file with every game on the account:
+ * stats, conversion, ratings, comment sentiment and Steam key inventory, with
+ * sortable tables and inline SVG charts. It has no external assets.
  */
 
-async function fetchItchApi(endpoint, apiKey) {
-  const res = await fetch(`https://api.itch.io${endpoint}`, {
-    headers: { 'Authorization': apiKey }
+const fs = require('fs');
+
+const { createClient } = require('./lib/itch-api');
+const { statePath, appendJsonl, readJsonl } = require('./lib/store');
+const { parseFormat, emit } = require('./lib/format');
+const { createAnalyzer, loadLexicon } = require('./lib/sentiment');
+const { collectPortfolio, renderPortfolio, PORTFOLIO_COLUMNS } = require('./lib/portfolio');
+const { getFlag } = require('./lib/args');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const METRICS = ['views', 'downloads', 'purchases'];
+
+const GAME_COLUMNS = ['id', 'title', 'views', 'downloads', 'purchases', 'price'];
+const SNAPSHOT_COLUMNS = ['ts', 'game_id', 'title', 'views', 'downloads', 'purchases'];
+const TREND_COLUMNS = ['game_id', 'title', 'metric', 'value', 'delta_day', 'delta_prev_day', 'delta_week', 'delta_prev_week', 'daily'];
+const CONVERSION_COLUMNS = ['game_id', 'title', 'views_to_downloads', 'downloads_to_purchases', 'views_to_purchases', 'week_views_to_downloads', 'week_downloads_to_purchases'];
+
+function storeFile(args) {
+  return getFlag(args, '--store', process.env.ITCH_ANALYTICS_STORE || statePath('analytics.jsonl'));
+}
+
+function toSnapshot(game, ts) {
+  return {
+    ts,
+    game_id: game.id,
+    title: game.title,
+    views: game.views_count || 0,
+    downloads: game.downloads_count || 0,
+    purchases: game.purchases_count || 0
+  };
+}
+
+async function fetchGames(itch, gameId) {
+  if (gameId) {
+    const { game } = await itch.get(`/games/${gameId}`);
+    return [game];
+  }
+  return itch.paginate('/games', 'games');
+}
+
+// Latest snapshot taken at or before `ts`
+function valueAt(history, ts) {
+  let found = null;
+  for (const s of history) {
+    if (Date.parse(s.ts) <= ts) found = s;
+    else break;
+  }
+  return found;
+}
+
+function delta(history, metric, from, to) {
+  const a = valueAt(history, from);
+  const b = valueAt(history, to);
+  if (!a || !b || a === b) return null;
+  return b[metric] - a[metric];
+}
+
+function formatDelta(value, previous) {
+  if (value === null) return 'n/a';
+  const sign = value >= 0 ? '+' : '';
+  let out = `${sign}${value}`;
+  if (previous !== null && previous !== 0) {
+    const pct = ((value - previous) / Math.abs(previous)) * 100;
+    out += ` (${pct >= 0 ? '▲' : '▼'} ${Math.abs(pct).toFixed(0)}% vs prior)`;
+  }
+  return out;
+}
+
+function rate(a, b) {
+  return a !== null && b ? Number((a / b).toFixed(4)) : null;
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function sparkline(values) {
+  const nums = values.filter(v => v !== null);
+  if (nums.length === 0) return '';
+  const min = Math.min(...nums);
+  const max = Math.max(...nums);
+  return values.map(v => {
+    if (v === null) return ' ';
+    if (max === min) return SPARK_CHARS[0];
+    return SPARK_CHARS[Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))];
+  }).join('');
+}
+
+// Per-day increments over the last `days` days, ending at the latest snapshot
+function dailyIncrements(history, metric, days) {
+  const end = Date.parse(history[history.length - 1].ts);
+  const values = [];
+  for (let i = days - 1; i >= 0; i--) {
+    values.push(delta(history, metric, end - (i + 1) * DAY, end - i * DAY));
+  }
+  return values;
+}
+
+function gameRecord(g) {
+  return {
+    id: g.id,
+    title: g.title,
+    views: g.views_count || 0,
+    downloads: g.downloads_count || 0,
+    purchases: g.purchases_count || 0,
+    price: g.price ? g.price / 100 : 0
+  };
+}
+
+async function showStats(itch, gameId, format) {
+  if (gameId) {
+    const { game } = await itch.get(`/games/${gameId}`);
+    if (format !== 'text') return emit('analytics.games', [{ name: 'games', columns: GAME_COLUMNS, rows: [gameRecord(game)] }], format);
+
+    console.log(`\n🎮 ${game.title}`);
+    console.log(`   Views: ${game.views_count}`);
+    console.log(`   Downloads: ${game.downloads_count}`);
+    console.log(`   Purchases: ${game.purchases_count || 0}`);
+    if (game.price) console.log(`   Price: $${game.price / 100}`);
+  } else {
+    const games = await itch.paginate('/games', 'games');
+    if (format !== 'text') return emit('analytics.games', [{ name: 'games', columns: GAME_COLUMNS, rows: games.map(gameRecord) }], format);
+
+    console.log(`\nFound ${games.length} game(s):\n`);
+    games.forEach(g => {
+      console.log(`🎮 ${g.title} (ID: ${g.id})`);
+      console.log(`   👁 Views: ${g.views_count} | ⬇ Downloads: ${g.downloads_count}`);
+    });
+  }
+}
+
+async function takeSnapshot(itch, gameId, file, format) {
+  const ts = new Date().toISOString();
+  const games = await fetchGames(itch, gameId);
+  const snapshots = games.map(g => toSnapshot(g, ts));
+
+  appendJsonl(file, snapshots);
+
+  if (format !== 'text') return emit('analytics.snapshot', [{ name: 'snapshots', columns: SNAPSHOT_COLUMNS, rows: snapshots }], format);
+
+  console.log(`\n📸 Recorded ${snapshots.length} snapshot(s) → ${file}\n`);
+  snapshots.forEach(s => {
+    console.log(`🎮 ${s.title}: 👁 ${s.views} | ⬇ ${s.downloads} | 💰 ${s.purchases}`);
   });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+}
+
+function computeTrend(history, days) {
+  const latest = history[history.length - 1];
+  const now = Date.parse(latest.ts);
+  const base = { game_id: latest.game_id, title: latest.title };
+
+  const metrics = METRICS.map(metric => ({
+    ...base,
+    metric,
+    value: latest[metric],
+    delta_day: delta(history, metric, now - DAY, now),
+    delta_prev_day: delta(history, metric, now - 2 * DAY, now - DAY),
+    delta_week: delta(history, metric, now - 7 * DAY, now),
+    delta_prev_week: delta(history, metric, now - 14 * DAY, now - 7 * DAY),
+    daily: dailyIncrements(history, metric, days)
+  }));
+
+  const week = Object.fromEntries(METRICS.map(m => [m, delta(history, m, now - 7 * DAY, now)]));
+  const conversion = {
+    ...base,
+    views_to_downloads: rate(latest.downloads, latest.views),
+    downloads_to_purchases: rate(latest.purchases, latest.downloads),
+    views_to_purchases: rate(latest.purchases, latest.views),
+    week_views_to_downloads: rate(week.downloads, week.views),
+    week_downloads_to_purchases: rate(week.purchases, week.downloads)
+  };
+
+  return { latest, metrics, conversion, since: history[0].ts, count: history.length };
+}
+
+function printTrend(trend) {
+  const { latest, metrics, conversion } = trend;
+
+  console.log(`\n📈 ${latest.title} (ID: ${latest.game_id}) · ${trend.count} snapshot(s) since ${trend.since.slice(0, 10)}`);
+
+  metrics.forEach(m => {
+    const label = m.metric[0].toUpperCase() + m.metric.slice(1);
+    console.log(`   ${label.padEnd(10)} ${String(m.value).padStart(8)}  ${sparkline(m.daily)}`);
+    console.log(`              Δ day: ${formatDelta(m.delta_day, m.delta_prev_day)} | Δ week: ${formatDelta(m.delta_week, m.delta_prev_week)}`);
+  });
+
+  console.log(`   Conversion: views→downloads ${percent(conversion.views_to_downloads)}` +
+    ` | downloads→purchases ${percent(conversion.downloads_to_purchases)}` +
+    ` | views→purchases ${percent(conversion.views_to_purchases)}`);
+
+  if (metrics[0].delta_week !== null) {
+    console.log(`   Last 7 days: views→downloads ${percent(conversion.week_views_to_downloads)}` +
+      ` | downloads→purchases ${percent(conversion.week_downloads_to_purchases)}`);
+  }
+}
+
+function showTrend(gameId, file, days, format) {
+  const all = readJsonl(file);
+  if (all.length === 0 && format === 'text') {
+    console.log(`No snapshots found in ${file}`);
+    console.log('Record some first: node analytics.js snapshot');
+    return;
+  }
+
+  const byGame = new Map();
+  all
+    .filter(s => !gameId || String(s.game_id) === String(gameId))
+    .sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts))
+    .forEach(s => {
+      if (!byGame.has(s.game_id)) byGame.set(s.game_id, []);
+      byGame.get(s.game_id).push(s);
+    });
+
+  const trends = [...byGame.values()].map(history => computeTrend(history, days));
+
+  if (format !== 'text') {
+    return emit('analytics.trend', [
+      { name: 'trend', columns: TREND_COLUMNS, rows: trends.flatMap(t => t.metrics) },
+      { name: 'conversion', columns: CONVERSION_COLUMNS, rows: trends.map(t => t.conversion) }
+    ], format);
+  }
+
+  if (trends.length === 0) {
+    console.log(`No snapshots for game ${gameId} in ${file}`);
+    return;
+  }
+
+  trends.forEach(printTrend);
+}
+
+async function showPortfolio(itch, args, file, format) {
+  const lexiconFile = getFlag(args, '--lexicon', process.env.ITCH_SENTIMENT_LEXICON);
+  const analyze = createAnalyzer(lexiconFile ? { lexicon: loadLexicon(lexiconFile) } : {});
+  const quiet = format !== 'text';
+
+  const portfolio = await collectPortfolio(itch, {
+    analyze,
+    history: readJsonl(file),
+    onGame: g => quiet || console.log(`   🎮 ${g.title}`)
+  });
+
+  if (quiet) return emit('analytics.portfolio', [{ name: 'games', columns: PORTFOLIO_COLUMNS, rows: portfolio.games }], format);
+
+  const out = getFlag(args, '--out', 'portfolio.html');
+  fs.writeFileSync(out, renderPortfolio(portfolio));
+  console.log(`\n📊 Portfolio report for ${portfolio.games.length} game(s) → ${out}`);
 }
 
 async function main() {
   const apiKey = process.env.ITCH_IO_API_KEY;
-  const gameId = process.argv[2];
+  const args = process.argv.slice(2);
+  const [first, second] = args.filter((a, i) => !a.startsWith('--') && !(args[i - 1] || '').startsWith('--'));
+  const command = ['snapshot', 'trend', 'portfolio'].includes(first) ? first : 'stats';
+  const gameId = command === 'stats' ? first : second;
+  const file = storeFile(args);
 
-  if (!apiKey) {
+  let format;
+  try {
+    format = parseFormat(args);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const days = getFlag(args, '--days', '14');
+  if (command === 'trend' && !/^[1-9]\d*$/.test(days)) {
+    console.error(`❌ --days must be a positive integer, got "${days}"`);
+    console.error('Usage: node analytics.js trend [game-id] [--days 14]');
+    process.exit(1);
+  }
+
+  if (command !== 'trend' && !apiKey) {
     console.error('Set ITCH_IO_API_KEY environment variable');
     process.exit(1);
   }
 
+  // trend only reads the local store
+  const itch = apiKey ? createClient({ apiKey }) : null;
+
   try {
-    if (gameId) {
-      const { game } = await fetchItchApi(`/games/${gameId}`, apiKey);
-      console.log(`\n🎮 ${game.title}`);
-      console.log(`   Views: ${game.views_count}`);
-      console.log(`   Downloads: ${game.downloads_count}`);
-      console.log(`   Purchases: ${game.purchases_count || 0}`);
-      if (game.price) console.log(`   Price: $${game.price / 100}`);
+    if (command === 'trend') {
+      showTrend(gameId, file, Number(days), format);
+    } else if (command === 'snapshot') {
+      await takeSnapshot(itch, gameId, file, format);
+    } else if (command === 'portfolio') {
+      await showPortfolio(itch, args, file, format);
     } else {
-      const { games } = await fetchItchApi('/games', apiKey);
-      console.log(`\nFound ${games.length} game(s):\n`);
-      games.forEach(g => {
-        console.log(`🎮 ${g.title} (ID: ${g.id})`);
-        console.log(`   👁 Views: ${g.views_count} | ⬇ Downloads: ${g.downloads_count}`);
-      });
+      await showStats(itch, gameId, format);
     }
   } catch (e) {
     console.error('❌ Error:', e.message);
@@ -48,4 +322,7 @@ async function main() {
   }
 }
 
-main();
+main().catch(e => {
+  console.error('❌ Error:', e.message);
+  process.exit(1);
+});
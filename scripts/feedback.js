@@ -6,77 +6,98 @@
  * 
  * Usage:
  *   export ITCH_IO_API_KEY="your-key"
- *   node feedback.js <game-id> [command]
+ *   node feedback.js <game-id> [command] [--format json|csv|markdown]
  * 
  * Commands:
  *   comments           Fetch recent comments
  *   ratings            Get rating breakdown
- *   sentiment          Analyze comment sentiment (basic)
+ *   sentiment          Analyze comment sentiment
+ *   topics             Recurring themes and bug-report triage list
  *   report             Generate full feedback report
+ *
+ * Options:
+ *   --since-last       (comments) Only show comments that are new or edited
+ *                      since the previous --since-last run. Exits with code 2
+ *                      when any of them are negative.
+ *   --lexicon <file>   Extra sentiment terms as JSON ({ "janky": -2 })
+ *                      (or set ITCH_SENTIMENT_LEXICON)
  */
 
+const crypto = require('crypto');
+
+const { createClient } = require('./lib/itch-api');
+const { parseFormat, emit } = require('./lib/format');
+const { createAnalyzer, loadLexicon } = require('./lib/sentiment');
+const { analyzeTopics, extractNgrams } = require('./lib/topics');
+const { statePath, readJson, writeJson } = require('./lib/store');
+
 const API_KEY = process.env.ITCH_IO_API_KEY;
+const itch = createClient({ apiKey: API_KEY });
 
-async function api(endpoint) {
-  const res = await fetch(`https://api.itch.io${endpoint}`, {
-    headers: { 'Authorization': API_KEY }
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
-}
+const COMMENT_COLUMNS = ['id', 'user', 'created_at', 'sentiment', 'score', 'confidence', 'body'];
+const RATING_COLUMNS = ['game_id', 'title', 'rating', 'rating_count', 'views', 'downloads', 'purchases'];
+const SENTIMENT_COLUMNS = ['sentiment', 'count', 'percent'];
+const KEYWORD_COLUMNS = ['keyword'];
+const NGRAM_COLUMNS = ['term', 'n', 'count', 'comment_ids'];
+const THEME_COLUMNS = ['theme', 'count', 'share', 'comment_ids'];
+const BUG_COLUMNS = ['id', 'user', 'created_at', 'severity', 'summary', 'platforms', 'browsers', 'versions', 'locations', 'themes', 'body'];
+const CHANGE_COLUMNS = ['change', ...COMMENT_COLUMNS];
+const SEVERITY_ICONS = { high: '🔴', medium: '🟠', low: '🟡' };
+
+const LABELS = { positive: '😊 Positive', negative: '😞 Negative', neutral: '😐 Neutral' };
+
+let analyzer = createAnalyzer();
 
 function analyzeSentiment(text) {
-  // Basic keyword-based sentiment
-  const positive = ['love', 'great', 'awesome', 'amazing', 'good', 'fun', 'thanks', 'cool', 'nice', 'perfect', 'excellent'];
-  const negative = ['bug', 'broken', 'bad', 'hate', 'terrible', 'awful', 'crash', 'error', 'fix', 'problem', 'issue', 'slow', 'lag'];
-  
-  const lower = text.toLowerCase();
-  let score = 0;
-  
-  positive.forEach(w => { if (lower.includes(w)) score++; });
-  negative.forEach(w => { if (lower.includes(w)) score--; });
-  
-  if (score > 0) return { label: '😊 Positive', score };
-  if (score < 0) return { label: '😞 Negative', score };
-  return { label: '😐 Neutral', score: 0 };
+  const result = analyzer(text);
+  return { ...result, sentiment: result.label, label: LABELS[result.label] };
 }
 
-async function fetchComments(gameId, limit = 20) {
+async function getComments(gameId, limit) {
   try {
-    const data = await api(`/games/${gameId}/comments`);
-    const comments = (data.comments || []).slice(0, limit);
-    
-    console.log(`\n💬 Recent Comments (${comments.length}):\n`);
-    
-    comments.forEach(c => {
-      const user = c.user?.username || 'Anonymous';
-      const date = new Date(c.created_at).toLocaleDateString();
-      const sentiment = analyzeSentiment(c.body || '');
-      
-      console.log(`@${user} · ${date} ${sentiment.label}`);
-      console.log(`   "${(c.body || '').substring(0, 120)}${(c.body || '').length > 120 ? '...' : ''}"\n`);
-    });
-    
-    return comments;
+    const all = await itch.paginate(`/games/${gameId}/comments`, 'comments');
+    return all.slice(0, limit);
   } catch (e) {
     console.error('❌ Could not fetch comments:', e.message);
     // Comments may not be available via API - web scraping fallback noted
-    console.log('   Note: Full comment access may require page scraping');
+    console.error('   Note: Full comment access may require page scraping');
     return [];
   }
 }
 
-async function fetchRatings(gameId) {
+function fingerprint(c) {
+  const hash = crypto.createHash('sha1').update(c.body || '').digest('hex').slice(0, 12);
+  return `${c.updated_at || c.created_at || ''}:${hash}`;
+}
+
+/**
+ * Diffs the current comment list against the cursor saved by the previous
+ * run. The first run only records a baseline so it doesn't flag everything.
+ */
+function diffComments(gameId, comments) {
+  const file = statePath(`comments-${gameId}.json`);
+  const cursor = readJson(file);
+  const seen = cursor ? cursor.comments : {};
+
+  const changes = [];
+  if (cursor) {
+    comments.forEach(c => {
+      const previous = seen[c.id];
+      if (previous === undefined) changes.push({ change: 'new', comment: c });
+      else if (previous !== fingerprint(c)) changes.push({ change: 'edited', comment: c });
+    });
+  }
+
+  const next = {};
+  comments.forEach(c => { next[c.id] = fingerprint(c); });
+  writeJson(file, { game_id: gameId, last_run: new Date().toISOString(), comments: next });
+
+  return { baseline: !cursor, lastRun: cursor && cursor.last_run, changes };
+}
+
+async function getRatings(gameId) {
   try {
-    const { game } = await api(`/games/${gameId}`);
-    
-    console.log(`\n⭐ Ratings for "${game.title}":\n`);
-    console.log(`   Average: ${game.rating ? (game.rating / 20).toFixed(1) : 'N/A'}/5`);
-    console.log(`   Total ratings: ${game.rating_count || 0}`);
-    console.log(`   Views: ${game.views_count || 0}`);
-    console.log(`   Downloads: ${game.downloads_count || 0}`);
-    console.log(`   Purchases: ${game.purchases_count || 0}`);
-    
+    const { game } = await itch.get(`/games/${gameId}`);
     return game;
   } catch (e) {
     console.error('❌ Error:', e.message);
@@ -84,52 +105,220 @@ async function fetchRatings(gameId) {
   }
 }
 
-async function sentimentReport(gameId) {
-  const comments = await fetchComments(gameId, 50);
+function commentRecord(c) {
+  const s = analyzeSentiment(c.body || '');
+  return {
+    id: c.id,
+    user: c.user?.username || 'Anonymous',
+    created_at: c.created_at,
+    sentiment: s.sentiment,
+    score: s.score,
+    confidence: s.confidence,
+    body: c.body || ''
+  };
+}
+
+function ratingRecord(game) {
+  return {
+    game_id: game.id,
+    title: game.title,
+    rating: game.rating ? Number((game.rating / 20).toFixed(1)) : null,
+    rating_count: game.rating_count || 0,
+    views: game.views_count || 0,
+    downloads: game.downloads_count || 0,
+    purchases: game.purchases_count || 0
+  };
+}
+
+function summarizeSentiment(comments) {
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  comments.forEach(c => { counts[analyzeSentiment(c.body || '').sentiment]++; });
+
+  const rows = Object.entries(counts).map(([sentiment, count]) => ({
+    sentiment,
+    count,
+    percent: comments.length ? Math.round((count / comments.length) * 100) : 0
+  }));
+
+  // Common keywords
+  const keywords = extractNgrams(comments, { limit: 8 }).map(g => g.term);
+
+  return { total: comments.length, rows, keywords };
+}
+
+function printComments(comments, title = 'Recent Comments', tags = []) {
+  console.log(`\n💬 ${title} (${comments.length}):\n`);
   
-  if (comments.length === 0) {
+  comments.forEach((c, i) => {
+    const user = c.user?.username || 'Anonymous';
+    const date = new Date(c.created_at).toLocaleDateString();
+    const sentiment = analyzeSentiment(c.body || '');
+    const tag = tags[i] ? `[${tags[i]}] ` : '';
+    
+    console.log(`${tag}@${user} · ${date} ${sentiment.label}`);
+    console.log(`   "${(c.body || '').substring(0, 120)}${(c.body || '').length > 120 ? '...' : ''}"\n`);
+  });
+}
+
+function printRatings(game) {
+  console.log(`\n⭐ Ratings for "${game.title}":\n`);
+  console.log(`   Average: ${game.rating ? (game.rating / 20).toFixed(1) : 'N/A'}/5`);
+  console.log(`   Total ratings: ${game.rating_count || 0}`);
+  console.log(`   Views: ${game.views_count || 0}`);
+  console.log(`   Downloads: ${game.downloads_count || 0}`);
+  console.log(`   Purchases: ${game.purchases_count || 0}`);
+}
+
+function printSentiment(summary) {
+  if (summary.total === 0) {
     console.log('No comments to analyze');
     return;
   }
+
+  const [positive, neutral, negative] = summary.rows;
+  console.log(`\n📊 Sentiment Analysis (${summary.total} comments):\n`);
+  console.log(`   😊 Positive: ${positive.count} (${positive.percent}%)`);
+  console.log(`   😐 Neutral:  ${neutral.count} (${neutral.percent}%)`);
+  console.log(`   😞 Negative: ${negative.count} (${negative.percent}%)`);
   
-  let positive = 0, negative = 0, neutral = 0;
-  
-  comments.forEach(c => {
-    const s = analyzeSentiment(c.body || '');
-    if (s.score > 0) positive++;
-    else if (s.score < 0) negative++;
-    else neutral++;
+  if (summary.keywords.length > 0) {
+    console.log(`\n🔍 Common keywords: ${summary.keywords.join(', ')}`);
+  }
+}
+
+function printTopics(topics, total) {
+  console.log(`\n🧵 Topics across ${total} comments:\n`);
+
+  if (topics.ngrams.length > 0) {
+    console.log('🔁 Recurring phrases:');
+    topics.ngrams.forEach(g => console.log(`   ${String(g.count).padStart(3)}× ${g.term}`));
+  }
+
+  if (topics.themes.length > 0) {
+    console.log('\n🗂  Themes:');
+    topics.themes.forEach(t => {
+      console.log(`   ${t.theme.padEnd(12)} ${String(t.count).padStart(3)} (${(t.share * 100).toFixed(0)}%)`);
+    });
+  }
+
+  console.log(`\n🐞 Possible bug reports (${topics.bugs.length}):\n`);
+  topics.bugs.forEach(b => {
+    const env = [...b.platforms, ...b.browsers, ...b.versions.map(v => `v${v}`)].join(', ');
+    console.log(`${SEVERITY_ICONS[b.severity]} [${b.severity}] ${b.summary}`);
+    console.log(`   @${b.user} · ${new Date(b.created_at).toLocaleDateString()} · comment ${b.id}`);
+    if (env) console.log(`   Environment: ${env}`);
+    if (b.locations.length > 0) console.log(`   Where: ${b.locations.join(', ')}`);
+    console.log('');
   });
-  
-  console.log(`\n📊 Sentiment Analysis (${comments.length} comments):\n`);
-  console.log(`   😊 Positive: ${positive} (${((positive/comments.length)*100).toFixed(0)}%)`);
-  console.log(`   😐 Neutral:  ${neutral} (${((neutral/comments.length)*100).toFixed(0)}%)`);
-  console.log(`   😞 Negative: ${negative} (${((negative/comments.length)*100).toFixed(0)}%)`);
-  
-  // Common keywords
-  const allText = comments.map(c => c.body || '').join(' ').toLowerCase();
-  const keywords = ['bug', 'crash', 'good', 'love', 'hard', 'easy', 'help', 'level', 'graphics'].filter(k => allText.includes(k));
-  
-  if (keywords.length > 0) {
-    console.log(`\n🔍 Common keywords: ${keywords.join(', ')}`);
+}
+
+function commentsSection(comments) {
+  return { name: 'comments', columns: COMMENT_COLUMNS, rows: comments.map(commentRecord) };
+}
+
+function ratingsSection(game) {
+  return { name: 'ratings', columns: RATING_COLUMNS, rows: game ? [ratingRecord(game)] : [] };
+}
+
+function sentimentSections(summary) {
+  return [
+    { name: 'sentiment', columns: SENTIMENT_COLUMNS, rows: summary.rows },
+    { name: 'keywords', columns: KEYWORD_COLUMNS, rows: summary.keywords.map(keyword => ({ keyword })) }
+  ];
+}
+
+function topicsSections(topics) {
+  return [
+    { name: 'ngrams', columns: NGRAM_COLUMNS, rows: topics.ngrams },
+    { name: 'themes', columns: THEME_COLUMNS, rows: topics.themes },
+    { name: 'bugs', columns: BUG_COLUMNS, rows: topics.bugs }
+  ];
+}
+
+async function fetchComments(gameId, format, limit = 20) {
+  const comments = await getComments(gameId, limit);
+  if (format !== 'text') return emit('feedback.comments', [commentsSection(comments)], format);
+  printComments(comments);
+}
+
+async function fetchNewComments(gameId, format) {
+  // Errors propagate here: a failed fetch must not overwrite the cursor
+  const comments = await itch.paginate(`/games/${gameId}/comments`, 'comments');
+  const { baseline, lastRun, changes } = diffComments(gameId, comments);
+  const negative = changes.filter(ch => analyzeSentiment(ch.comment.body || '').sentiment === 'negative');
+
+  if (format !== 'text') {
+    const rows = changes.map(ch => ({ change: ch.change, ...commentRecord(ch.comment) }));
+    emit('feedback.comments_since', [{ name: 'comments', columns: CHANGE_COLUMNS, rows }], format);
+  } else if (baseline) {
+    console.log(`\n📌 Baseline recorded: ${comments.length} comment(s). Next --since-last run will show changes.`);
+  } else {
+    const since = new Date(lastRun).toLocaleString();
+    if (changes.length === 0) {
+      console.log(`\n✅ No new or edited comments since ${since}`);
+    } else {
+      printComments(changes.map(ch => ch.comment), `New or edited since ${since}`, changes.map(ch => ch.change));
+    }
+  }
+
+  if (negative.length > 0) {
+    console.error(`🚨 ${negative.length} new negative comment(s) on game ${gameId}`);
+    process.exitCode = 2;
+  }
+}
+
+async function fetchRatings(gameId, format) {
+  const game = await getRatings(gameId);
+  if (format !== 'text') return emit('feedback.ratings', [ratingsSection(game)], format);
+  if (game) printRatings(game);
+}
+
+async function sentimentReport(gameId, format) {
+  const summary = summarizeSentiment(await getComments(gameId, 50));
+  if (format !== 'text') return emit('feedback.sentiment', sentimentSections(summary), format);
+  printSentiment(summary);
+}
+
+async function topicsReport(gameId, format) {
+  const comments = await getComments(gameId, Infinity);
+  const topics = analyzeTopics(comments);
+  if (format !== 'text') return emit('feedback.topics', topicsSections(topics), format);
+
+  if (comments.length === 0) {
+    console.log('No comments to analyze');
+    return;
   }
+  printTopics(topics, comments.length);
 }
 
-async function fullReport(gameId) {
+async function fullReport(gameId, format) {
+  const game = await getRatings(gameId);
+  const comments = await getComments(gameId, 50);
+  const summary = summarizeSentiment(comments);
+
+  if (format !== 'text') {
+    return emit('feedback.report', [
+      ratingsSection(game),
+      commentsSection(comments.slice(0, 10)),
+      ...sentimentSections(summary)
+    ], format);
+  }
+
   console.log('═══════════════════════════════════');
   console.log('   itch.io Feedback Report');
   console.log('═══════════════════════════════════');
   
-  await fetchRatings(gameId);
-  await fetchComments(gameId, 10);
-  await sentimentReport(gameId);
+  if (game) printRatings(game);
+  printComments(comments.slice(0, 10));
+  printSentiment(summary);
   
   console.log('\n═══════════════════════════════════');
   console.log('View full analytics at: https://itch.io/game/analytics/' + gameId);
 }
 
 async function main() {
-  const [gameId, command] = process.argv.slice(2);
+  const args = process.argv.slice(2);
+  const [gameId, command] = args.filter((a, i) => !a.startsWith('--') && !['--format', '--lexicon'].includes(args[i - 1]));
   
   if (!API_KEY) {
     console.error('Set ITCH_IO_API_KEY environment variable');
@@ -137,34 +326,45 @@ async function main() {
   }
   
   if (!gameId) {
-    console.log('Usage: node feedback.js <game-id> [command]');
+    console.log('Usage: node feedback.js <game-id> [command] [--format json|csv|markdown] [--lexicon terms.json]');
     console.log('');
     console.log('Commands:');
     console.log('  comments    Fetch recent comments');
     console.log('  ratings     Show rating stats');
     console.log('  sentiment   Analyze comment sentiment');
+    console.log('  topics      Recurring themes and bug-report triage list');
     console.log('  report      Full feedback report (default)');
     console.log('');
     console.log('Example:');
     console.log('  node feedback.js 12345 report');
+    console.log('  node feedback.js 12345 comments --format csv > comments.csv');
+    console.log('  node feedback.js 12345 comments --since-last   # exit 2 on new negative comments');
     process.exit(1);
   }
   
   const cmd = command || 'report';
+  const format = parseFormat(args);
+  const lexiconIndex = args.indexOf('--lexicon');
+  const lexiconFile = lexiconIndex !== -1 ? args[lexiconIndex + 1] : process.env.ITCH_SENTIMENT_LEXICON;
+  if (lexiconFile) analyzer = createAnalyzer({ lexicon: loadLexicon(lexiconFile) });
   
   switch (cmd) {
     case 'comments':
-      await fetchComments(gameId);
+      if (args.includes('--since-last')) await fetchNewComments(gameId, format);
+      else await fetchComments(gameId, format);
       break;
     case 'ratings':
-      await fetchRatings(gameId);
+      await fetchRatings(gameId, format);
       break;
     case 'sentiment':
-      await sentimentReport(gameId);
+      await sentimentReport(gameId, format);
+      break;
+    case 'topics':
+      await topicsReport(gameId, format);
       break;
     case 'report':
     default:
-      await fullReport(gameId);
+      await fullReport(gameId, format);
   }
 }
 
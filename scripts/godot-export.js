@@ -6,14 +6,48 @@
  * 
  * Usage:
  *   node godot-export.js <build-directory> <itch-username/game>
+ *   node godot-export.js <project-directory> <itch-username/game> [--export]
  * 
  * Example:
  *   node godot-export.js ./build user123/my-game
+ *   node godot-export.js ./my-project user123/my-game --export
+ *
+ * When the directory holds an export_presets.cfg, builds are taken from the
+ * presets (platform + export_path) instead of guessed from file extensions,
+ * and every artifact a preset should produce is checked to exist.
+ *
+ * Options:
+ *   --export           Run `godot --headless --export-release` for each preset first
+ *   --debug            Use --export-debug instead
+ *   --preset <name>    Only use this preset (repeatable)
+ *   --godot <path>     Godot binary (default: $GODOT_BIN or `godot`)
+ *   --extract <dir>    Unpack zipped builds into <dir>/<channel> and push those
+ *   --push             Upload the verified builds instead of printing butler commands,
+ *                      through the same pipeline as publish.js (version checks, budgets,
+ *                      manifests, history). Takes publish.js's --version, --ignore <glob>,
+ *                      --dry-run, --resume, --force, --retries, --concurrency, --uploader
+ *                      and --butler.
+ *
+ * Zipped builds (game-mac.zip, or a folder holding just one zip) are read in
+ * place: the platform comes from what's inside, and web zips get the same
+ * checks as web folders. butler pushes zips as they are; --extract stages
+ * an unwrapped copy instead.
+ *
+ * Ctrl+C cancels a running export.
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const { parseExportPresets, expectedArtifacts, pushPath, exportArgs } = require('./lib/godot');
+const { runStreaming, interruptController } = require('./lib/process');
+const { validateWebDir, validateWebExport } = require('./lib/web-export');
+const { inspectBuild, within } = require('./lib/builds');
+const { isZip } = require('./lib/zip');
+const { formatBytes } = require('./lib/manifest');
+const { getFlag, getFlags } = require('./lib/args');
+const { publishBuilds, pushOptions, PUSH_VALUE_FLAGS } = require('./lib/publish');
+
 const PLATFORMS = {
   windows: {
     channel: 'windows',
@@ -22,12 +56,12 @@ const PLATFORMS = {
   },
   linux: {
     channel: 'linux',
-    files: [''],
+    files: ['.x86_64', '.x86_32', '.arm64', '.arm32', ''],
     name: 'Linux/X11'
   },
   macos: {
     channel: 'osx',
-    files: ['.app', '.zip'],
+    files: ['.app'],
     name: 'macOS'
   },
   web: {
@@ -42,82 +76,256 @@ const PLATFORMS = {
   }
 };
 
-function detectPlatform(dir) {
-  const files = fs.readdirSync(dir);
-  
-  // Check for index.html (Web export)
-  if (files.includes('index.html')) return 'web';
-  
-  // Check for .exe
-  if (files.some(f => f.endsWith('.exe'))) return 'windows';
-  
-  // Check for .app bundle
-  if (files.some(f => f.endsWith('.app')) || files.some(f => f.endsWith('.zip'))) {
-    // Verify it's a mac export
-    const zip = files.find(f => f.endsWith('.zip'));
-    if (zip && (zip.includes('mac') || zip.includes('osx'))) return 'macos';
-    // Check .app
-    const app = files.find(f => f.endsWith('.app'));
-    if (app) return 'macos';
+const VALUE_FLAGS = ['--preset', '--godot', '--extract', ...PUSH_VALUE_FLAGS];
+
+// Extensionless files only count as Linux binaries if they are ELF executables
+function isElf(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const magic = Buffer.alloc(4);
+    return fs.readSync(fd, magic, 0, 4, 0) === 4 && magic.toString('latin1') === '\x7fELF';
+  } finally {
+    fs.closeSync(fd);
   }
+}
+
+/**
+ * Works out the platform from the names at the top of a build. `elf(name)`
+ * says whether an extensionless file is a Linux binary.
+ */
+function classifyPlatform(names, elf) {
+  if (names.includes('index.html')) return 'web';
+  if (names.some(f => f.endsWith('.exe'))) return 'windows';
+  if (names.some(f => f.endsWith('.app'))) return 'macos';
+  if (names.some(f => f.endsWith('.apk') || f.endsWith('.aab'))) return 'android';
   
-  // Check for Android
-  if (files.some(f => f.endsWith('.apk') || f.endsWith('.aab'))) return 'android';
-  
-  // Linux fallback - look for executable without extension
-  const executables = files.filter(f => !f.includes('.') && fs.statSync(path.join(dir, f)).isFile());
-  if (executables.length > 0) return 'linux';
+  // Linux - Godot's .x86_64 / .arm64 style names, or an extensionless ELF binary
+  const linuxExtensions = PLATFORMS.linux.files.filter(Boolean);
+  if (names.some(f => linuxExtensions.includes(path.extname(f)))) return 'linux';
+  if (names.some(f => !f.includes('.') && elf(f))) return 'linux';
   
   return null;
 }
 
-function checkCORS(dir) {
-  const indexPath = path.join(dir, 'index.html');
-  if (!fs.existsSync(indexPath)) return false;
-  
-  const content = fs.readFileSync(indexPath, 'utf8');
-  const hasCOI = content.includes('coi-serviceworker');
-  
-  if (!hasCOI) {
-    console.log(`   ⚠️  Web export missing CORS fix (coi-serviceworker.js)`);
-    console.log(`   Get it from: https://github.com/gzuidhof/coi-serviceworker`);
+function detectPlatform(dir) {
+  return classifyPlatform(fs.readdirSync(dir), f => {
+    const file = path.join(dir, f);
+    return fs.statSync(file).isFile() && isElf(file);
+  });
+}
+
+/**
+ * Classifies and validates a zipped build without extracting it (see
+ * lib/builds.js). Resolves to { platform, ok, pushPath }; with `extractDir`
+ * a valid build is unpacked to <extractDir>/<channel> and pushed from there.
+ */
+function inspectZip(file, { extractDir, expect, channel } = {}) {
+  return inspectBuild(file, build => {
+    const inner = within(build.files, build.root).map(f => f.path);
+    const names = [...new Set(inner.map(f => f.split('/')[0]))];
+    const platform = classifyPlatform(names, f => inner.includes(f) && build.head(build.root + f, 4).toString('latin1') === '\x7fELF');
+    const label = `${build.name}${build.root ? ` (in ${build.root})` : ''}`;
+    
+    if (!platform) {
+      console.log(`❓ Unknown platform: ${label}`);
+      return { platform, ok: false };
+    }
+    if (expect && platform !== expect) {
+      console.log(`❌ ${label} holds a ${PLATFORMS[platform].name} build, expected ${PLATFORMS[expect].name}`);
+      return { platform, ok: false };
+    }
+    
+    let ok = true;
+    if (platform === 'web') {
+      console.log(`🌐 ${PLATFORMS.web.name}: ${label}`);
+      ok = reportWebExport(validateWebExport(build.pushed.files, build.pushed.read));
+    } else {
+      console.log(`✅ ${PLATFORMS[platform].name}: ${label}`);
+      if (platform === 'macos') {
+        const app = names.find(f => f.endsWith('.app'));
+        if (!inner.includes(`${app}/Contents/Info.plist`) || !inner.some(f => f.startsWith(`${app}/Contents/MacOS/`))) {
+          console.log(`   ❌ ${app} has no Contents/Info.plist or Contents/MacOS/ - not a complete app bundle`);
+          ok = false;
+        }
+      }
+    }
+    return { platform, ok, channel: channel || PLATFORMS[platform].channel };
+  }, { extractDir });
+}
+
+/**
+ * Runs the web export checks (lib/web-export.js) and prints the findings.
+ * Returns false when the export would not work on itch.io.
+ */
+function checkWebExport(dir, index = 'index.html') {
+  const result = validateWebDir(dir, { index });
+  if (index !== 'index.html') result.warnings.unshift(`itch.io opens index.html - export to index.html instead of ${index}`);
+  return reportWebExport(result);
+}
+
+function reportWebExport({ errors, warnings, info }) {
+  console.log(`   ${info.files} files, ${formatBytes(info.totalBytes)}${info.threaded ? ', threaded' : ''}${info.coi ? ', COI fix present' : ''}`);
+  errors.forEach(e => console.log(`   ❌ ${e}`));
+  warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+  if (info.threaded && !info.coi) {
+    console.log(`   Get coi-serviceworker from: https://github.com/gzuidhof/coi-serviceworker`);
   }
   
-  return hasCOI;
+  return errors.length === 0;
 }
 
-function scanBuildDir(buildDir) {
+// Returns { platforms, invalid }: detected platform → folder or zip, and builds that failed validation
+async function scanBuildDir(buildDir, { extractDir } = {}) {
   const platforms = {};
+  const invalid = [];
   
-  // Check if buildDir contains platform subdirectories
+  // Platform subdirectories and zipped builds
   const entries = fs.readdirSync(buildDir)
     .map(f => path.join(buildDir, f))
-    .filter(f => fs.statSync(f).isDirectory());
+    .filter(f => fs.statSync(f).isDirectory() || isZip(f));
   
   for (const entry of entries) {
     const name = path.basename(entry).toLowerCase();
+    
+    // A folder holding just a zip (Godot's macOS export) is that zip's build
+    const zips = fs.statSync(entry).isDirectory() ? fs.readdirSync(entry).filter(isZip) : [];
+    const zip = isZip(entry) ? entry : (zips.length === 1 && fs.readdirSync(entry).length === 1 ? path.join(entry, zips[0]) : null);
+    if (zip) {
+      const { platform, ok, pushPath } = await inspectZip(zip, { extractDir });
+      if (ok) platforms[platform] = pushPath;
+      else if (platform) invalid.push(path.relative(buildDir, zip));
+      continue;
+    }
+    
     const platform = detectPlatform(entry);
     
-    if (platform) {
+    if (platform === 'web') {
+      console.log(`🌐 ${PLATFORMS.web.name}: ${name}/`);
+      if (checkWebExport(entry)) platforms.web = entry;
+      else invalid.push(`${name}/`);
+    } else if (platform) {
       platforms[platform] = entry;
       console.log(`✅ ${PLATFORMS[platform].name}: ${name}/`);
-      
-      if (platform === 'web') {
-        checkCORS(entry);
-      }
     } else {
       console.log(`❓ Unknown platform: ${name}/`);
     }
   }
   
-  return platforms;
+  return { platforms, invalid };
 }
 
-function generateCommands(platforms, target) {
+/**
+ * Reads export_presets.cfg and pairs each preset with an itch channel.
+ * When several presets target one platform, the first gets the plain
+ * channel and the rest get their preset name as a suffix (windows-demo).
+ */
+function loadPresets(projectDir, only) {
+  const presets = parseExportPresets(fs.readFileSync(path.join(projectDir, 'export_presets.cfg'), 'utf8'))
+    .filter(p => only.length === 0 || only.includes(p.name));
+
+  const missing = only.filter(name => !presets.some(p => p.name === name));
+  if (missing.length > 0) throw new Error(`No preset named ${missing.map(n => `"${n}"`).join(', ')} in export_presets.cfg`);
+
+  const usable = [];
+  presets.forEach(preset => {
+    if (!preset.platform) {
+      console.log(`❓ Skipping preset "${preset.name}" (${preset.godotPlatform || 'no platform'}) - no itch channel for it`);
+    } else if (!preset.exportPath) {
+      console.log(`⚠️  Skipping preset "${preset.name}" - no export_path set`);
+    } else {
+      usable.push(preset);
+    }
+  });
+
+  const taken = new Set();
+  return usable.map(preset => {
+    const base = PLATFORMS[preset.platform].channel;
+    let channel = base;
+    if (taken.has(channel)) {
+      const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      channel = `${base}-${slug.replace(new RegExp(`^${base}-`), '') || preset.index}`;
+    }
+    taken.add(channel);
+    return { preset, channel };
+  });
+}
+
+async function exportPresets(entries, projectDir, { godot, debug, signal }) {
+  const failed = [];
+  for (const { preset } of entries) {
+    console.log(`\n🔨 Exporting "${preset.name}" → ${preset.exportPath}`);
+    fs.mkdirSync(path.dirname(path.resolve(projectDir, preset.exportPath)), { recursive: true });
+
+    try {
+      const { code } = await runStreaming(godot, exportArgs(preset, projectDir, { debug }), {
+        signal,
+        onLine: line => line.trim() && console.log(`   │ ${line}`)
+      });
+      if (code !== 0) throw new Error(`Godot exited with code ${code}`);
+      console.log('   ✅ Exported');
+    } catch (e) {
+      if (e.aborted) throw e;
+      console.log(`   ❌ Export failed: ${e.message}`);
+      failed.push(preset.name);
+    }
+  }
+  return failed;
+}
+
+// mtime of every expected artifact that exists, keyed by its resolved path
+function artifactTimes(entries, projectDir) {
+  const times = new Map();
+  entries.forEach(({ preset }) => expectedArtifacts(preset).forEach(f => {
+    const file = path.resolve(projectDir, f);
+    if (fs.existsSync(file)) times.set(file, fs.statSync(file).mtimeMs);
+  }));
+  return times;
+}
+
+/**
+ * Checks every preset's expected files exist; returns the entries that
+ * pass, each with the `source` path to push. Zipped exports are inspected
+ * (and with `extractDir` unpacked) like zips found in a build folder.
+ * With `before` (artifactTimes() from before an --export), files that
+ * weren't rewritten since are stale and fail the preset.
+ */
+async function verifyArtifacts(entries, projectDir, { extractDir, before } = {}) {
+  console.log('');
+  const verified = [];
+  for (const entry of entries) {
+    const { preset, channel } = entry;
+    const source = path.join(projectDir, pushPath(preset));
+    const missing = expectedArtifacts(preset).filter(f => !fs.existsSync(path.resolve(projectDir, f)));
+    const stale = before ? expectedArtifacts(preset).filter(f => {
+      const file = path.resolve(projectDir, f);
+      return before.has(file) && fs.existsSync(file) && fs.statSync(file).mtimeMs <= before.get(file);
+    }) : [];
+    if (missing.length > 0) {
+      console.log(`❌ ${preset.name} → ${channel}: missing ${missing.join(', ')}`);
+    } else if (stale.length > 0) {
+      console.log(`❌ ${preset.name} → ${channel}: not updated by the export: ${stale.join(', ')}`);
+    } else if (isZip(preset.exportPath)) {
+      console.log(`📦 ${preset.name} → ${channel}: ${preset.exportPath}`);
+      const { ok, pushPath: zipSource } = await inspectZip(source, { extractDir, expect: preset.platform, channel });
+      if (ok) verified.push({ ...entry, source: zipSource });
+    } else if (preset.platform === 'web') {
+      console.log(`🌐 ${preset.name} → ${channel}: ${preset.exportPath}`);
+      if (checkWebExport(path.resolve(projectDir, path.dirname(preset.exportPath)), path.basename(preset.exportPath))) {
+        verified.push({ ...entry, source });
+      }
+    } else {
+      console.log(`✅ ${preset.name} → ${channel}: ${preset.exportPath}`);
+      verified.push({ ...entry, source });
+    }
+  }
+  return verified;
+}
+
+// `channels` maps itch channel → path to push
+function generateCommands(channels, target) {
   console.log('\n📦 Butler commands:\n');
   
-  Object.entries(platforms).forEach(([plat, dir]) => {
-    const channel = PLATFORMS[plat].channel;
+  Object.entries(channels).forEach(([channel, dir]) => {
     console.log(`butler push "${dir}" "${target}:${channel}"`);
   });
   
@@ -125,21 +333,77 @@ function generateCommands(platforms, target) {
   console.log(`butler status "${target}"`);
 }
 
-function main() {
-  const buildDir = process.argv[2];
-  const target = process.argv[3]; // username/game
+// Prints butler commands, or with --push uploads through lib/publish.js
+async function deliver(channels, target, args, cwd) {
+  if (!args.includes('--push')) {
+    generateCommands(channels, target);
+    return;
+  }
+  await publishBuilds(target, channels, { ...pushOptions(args), cwd, source: 'godot-export.js --push' });
+}
+
+async function publishPresets(projectDir, target, args) {
+  console.log(`🔍 Reading presets: ${path.join(projectDir, 'export_presets.cfg')}\n`);
+  const entries = loadPresets(projectDir, getFlags(args, '--preset'));
+  if (entries.length === 0) {
+    console.log('❌ No exportable presets found');
+    process.exit(1);
+  }
+
+  let exportFailed = [];
+  let before = null;
+  if (args.includes('--export')) {
+    before = artifactTimes(entries, projectDir);
+    const godot = getFlag(args, '--godot') || process.env.GODOT_BIN || 'godot';
+    const controller = interruptController(() => console.log('\n⚠️  Interrupted - cancelling export (Ctrl+C again to quit now)'));
+    try {
+      exportFailed = await exportPresets(entries, projectDir, { godot, debug: args.includes('--debug'), signal: controller.signal });
+    } catch (e) {
+      if (!e.aborted) throw e;
+      console.log('\n⛔ Export cancelled');
+      process.exit(130);
+    } finally {
+      controller.dispose();
+    }
+  }
+
+  // A failed export may have left an older build behind; never push that
+  const verified = await verifyArtifacts(entries.filter(e => !exportFailed.includes(e.preset.name)), projectDir, { extractDir: getFlag(args, '--extract'), before });
+  console.log(`\n${verified.length === entries.length ? '✅' : '⚠️ '} ${verified.length}/${entries.length} preset(s) ready`);
+
+  if (verified.length > 0) {
+    await deliver(Object.fromEntries(verified.map(e => [e.channel, e.source])), target, args, projectDir);
+  }
+  if (verified.length < entries.length || exportFailed.length > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [buildDir, target] = args.filter((a, i) => !a.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1])); // target: username/game
   
   if (!buildDir || !target) {
-    console.log('Usage: node godot-export.js <build-directory> <itch-username/game>');
+    console.log('Usage: node godot-export.js <build-or-project-directory> <itch-username/game> [options]');
     console.log('');
     console.log('Example:');
     console.log('  node godot-export.js ./build myname/my-game');
+    console.log('  node godot-export.js ./my-project myname/my-game --export');
+    console.log('');
+    console.log('Options (project directories with export_presets.cfg):');
+    console.log('  --export          Run a headless Godot export for each preset first');
+    console.log('  --debug           Export debug builds');
+    console.log('  --preset <name>   Only this preset (repeatable)');
+    console.log('  --godot <path>    Godot binary (default: $GODOT_BIN or godot)');
+    console.log('');
+    console.log('  --extract <dir>   Unpack zipped builds into <dir> and push from there');
+    console.log('');
+    console.log('  --push            Upload instead of printing butler commands (publish.js pipeline;');
+    console.log('                    also takes --version, --ignore, --dry-run, --resume, --force)');
     console.log('');
     console.log('Expected build structure:');
     console.log('  build/');
     console.log('    ├── windows/    (.exe)');
     console.log('    ├── linux/      (executable)');
-    console.log('    ├── macos/      (.app or .zip)');
+    console.log('    ├── macos/      (.app, or the exported .zip)');
     console.log('    └── web/        (index.html)');
     process.exit(1);
   }
@@ -149,17 +413,37 @@ function main() {
     process.exit(1);
   }
   
+  // Bad --push flags fail now rather than after the builds are checked
+  if (args.includes('--push')) pushOptions(args);
+
+  if (fs.existsSync(path.join(buildDir, 'export_presets.cfg'))) {
+    await publishPresets(buildDir, target, args);
+    return;
+  }
+  if (args.includes('--export')) {
+    console.error(`❌ --export needs a Godot project directory (no export_presets.cfg in ${buildDir})`);
+    process.exit(1);
+  }
+
   console.log(`🔍 Scanning: ${buildDir}\n`);
   
-  const platforms = scanBuildDir(buildDir);
+  const { platforms, invalid } = await scanBuildDir(buildDir, { extractDir: getFlag(args, '--extract') });
   
   if (Object.keys(platforms).length === 0) {
-    console.log('❌ No Godot exports detected');
+    console.log(invalid.length > 0 ? `\n❌ Every build failed validation: ${invalid.join(', ')}` : '❌ No Godot exports detected');
     process.exit(1);
   }
   
   console.log(`\n✅ Found ${Object.keys(platforms).length} platform(s)`);
-  generateCommands(platforms, target);
+  await deliver(Object.fromEntries(Object.entries(platforms).map(([plat, dir]) => [PLATFORMS[plat].channel, dir])), target, args);
+  
+  if (invalid.length > 0) {
+    console.log(`\n❌ Left out after failing validation: ${invalid.join(', ')}`);
+    process.exitCode = 1;
+  }
 }
 
-main();
+main().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,24 @@
+/**
+ * Command-Line Flags
+ *
+ * The scripts take `--name value` flags anywhere on the command line;
+ * positionals are found by skipping the values of known flags.
+ *
+ * Usage:
+ *   const { getFlag, getFlags } = require('./lib/args');
+ *   const out = getFlag(args, '--out', 'report.html');
+ *   const presets = getFlags(args, '--preset');
+ */
+
+// The value after `name`, or `fallback` when the flag is absent or has no value
+function getFlag(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+// Every value of a repeatable flag
+function getFlags(args, name) {
+  return args.filter((a, i) => args[i - 1] === name);
+}
+
+module.exports = { getFlag, getFlags };
@@ -0,0 +1,92 @@
+/**
+ * Build Sources
+ *
+ * The engine scripts take builds as folders or as zips read in place.
+ * inspectBuild() opens either one and hands the engine's check the file
+ * list; with an extract dir, a zip that passes is unpacked for butler.
+ *
+ * Usage:
+ *   const { inspectBuild } = require('./lib/builds');
+ *   const { platform, ok, pushPath } = await inspectBuild('build/game-web.zip', build => {
+ *     // build.files / build.read(path) - everything in the source
+ *     // build.pushed - { files, read } as butler will upload them
+ *     return { platform: 'web', ok: true, channel: 'html5' };
+ *   }, { extractDir: 'staging' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { walkFiles } = require('./manifest');
+const { withZip, commonRoot, isZip } = require('./zip');
+
+// The files under `prefix`, with paths relative to it
+function within(files, prefix) {
+  return files.filter(f => f.path.startsWith(prefix)).map(f => ({ ...f, path: f.path.slice(prefix.length) }));
+}
+
+function readHead(file, length) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Runs `check(build)` on a folder or zip. The build has:
+ *   name, zipped, files, read(path) → text, head(path, n) → Buffer,
+ *   root (a zip's wrapper folder, or ''), pushed: { files, read }
+ * `check` prints its findings and returns { platform, ok, channel, strip }
+ * (strip defaults to root). Resolves to { platform, ok, pushPath }.
+ *
+ * butler keeps a zip's wrapper folder when pushing the zip itself, so
+ * `pushed` only drops it when the zip will be extracted.
+ */
+async function inspectBuild(source, check, { extractDir } = {}) {
+  const name = path.basename(source);
+
+  if (!isZip(source)) {
+    const files = walkFiles(source);
+    const read = rel => fs.readFileSync(path.join(source, rel), 'utf8');
+    const { platform, ok } = check({
+      name, zipped: false, files, read, root: '', pushed: { files, read },
+      head: (rel, length) => readHead(path.join(source, rel), length)
+    });
+    return { platform, ok, pushPath: source };
+  }
+
+  return withZip(source, async zip => {
+    const files = zip.files();
+    const root = commonRoot(files);
+    const read = rel => zip.read(rel).toString('utf8');
+    const pushRoot = extractDir ? root : '';
+    const result = check({
+      name, zipped: true, files, read, root,
+      head: (rel, length) => zip.readHead(rel, length),
+      pushed: { files: within(files, pushRoot), read: rel => read(pushRoot + rel) }
+    });
+    const { platform, ok } = result;
+
+    if (!ok && platform === 'web' && root && !extractDir) {
+      console.log('   Pass --extract <dir> to push it without the wrapper folder');
+    }
+    if (!ok || !extractDir) return { platform, ok, pushPath: source };
+
+    const dest = path.join(extractDir, result.channel);
+    fs.rmSync(dest, { recursive: true, force: true });
+    try {
+      const count = await zip.extract(dest, { strip: result.strip !== undefined ? result.strip : root });
+      console.log(`   📂 Extracted ${count} file(s) → ${dest}`);
+      return { platform, ok, pushPath: dest };
+    } catch (e) {
+      fs.rmSync(dest, { recursive: true, force: true });
+      console.log(`   ❌ Extraction failed: ${e.message}`);
+      return { platform, ok: false, pushPath: source };
+    }
+  });
+}
+
+module.exports = { inspectBuild, within };
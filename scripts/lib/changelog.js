@@ -0,0 +1,135 @@
+/**
+ * Changelog & Devlog Drafts
+ *
+ * Collects the git commits between two published versions, groups them by
+ * conventional-commit type (feat, fix, perf …) and renders a Markdown devlog
+ * draft plus plain-text patch notes.
+ *
+ * Usage:
+ *   const { collectCommits, groupCommits, renderDevlog } = require('./lib/changelog');
+ *   const groups = groupCommits(collectCommits('abc123'));
+ *   renderDevlog(groups, { title: 'My Game', version: '1.4.0' });
+ */
+
+const { execFileSync } = require('child_process');
+
+// Order here is the order sections appear in; internal types are left out
+// of player-facing notes unless asked for
+const TYPES = [
+  { type: 'breaking', title: 'Breaking Changes', heading: '⚠️ Breaking Changes' },
+  { type: 'feat', title: 'New', heading: '✨ New' },
+  { type: 'fix', title: 'Fixes', heading: '🐛 Fixes' },
+  { type: 'perf', title: 'Performance', heading: '⚡ Performance' },
+  { type: 'revert', title: 'Reverted', heading: '↩️ Reverted' },
+  { type: 'other', title: 'Other Changes', heading: '📝 Other Changes' },
+  { type: 'docs', title: 'Documentation', heading: '📚 Documentation', internal: true },
+  { type: 'refactor', title: 'Refactoring', heading: '🧹 Refactoring', internal: true },
+  { type: 'style', title: 'Style', heading: '🎨 Style', internal: true },
+  { type: 'test', title: 'Tests', heading: '🧪 Tests', internal: true },
+  { type: 'build', title: 'Build', heading: '🏗️ Build', internal: true },
+  { type: 'ci', title: 'CI', heading: '🤖 CI', internal: true },
+  { type: 'chore', title: 'Chores', heading: '🔧 Chores', internal: true }
+];
+
+const CONVENTIONAL_RE = /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+/**
+ * Returns commits after `since` up to `until` (oldest first), skipping
+ * merges. With no `since`, the whole history is used.
+ */
+function collectCommits(since, { until = 'HEAD', cwd = process.cwd() } = {}) {
+  const range = since ? `${since}..${until}` : until;
+  const out = execFileSync('git', ['log', '--no-merges', '--reverse', `--format=%H${FIELD}%s${FIELD}%b${RECORD}`, range], {
+    cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return out.split(RECORD).map(r => r.trim()).filter(Boolean).map(record => {
+    const [hash, subject, body = ''] = record.split(FIELD);
+    return parseCommit(hash, subject, body);
+  });
+}
+
+function parseCommit(hash, subject, body = '') {
+  const m = subject.match(CONVENTIONAL_RE);
+  const known = m && TYPES.some(t => t.type === m[1].toLowerCase());
+  return {
+    hash,
+    type: known ? m[1].toLowerCase() : 'other',
+    scope: m ? m[2] || null : null,
+    breaking: Boolean(m && m[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+    description: known ? m[4].trim() : subject.trim()
+  };
+}
+
+/**
+ * Groups commits by type in TYPES order. Breaking changes are listed once,
+ * under "Breaking Changes". Returns [{ type, title, heading, commits }].
+ */
+function groupCommits(commits, { includeInternal = false } = {}) {
+  return TYPES
+    .filter(t => includeInternal || !t.internal)
+    .map(t => ({
+      ...t,
+      commits: commits.filter(c => (t.type === 'breaking' ? c.breaking : !c.breaking && c.type === t.type))
+    }))
+    .filter(g => g.commits.length > 0);
+}
+
+function entry(commit, bold) {
+  const scope = commit.scope ? (bold ? `**${commit.scope}:** ` : `${commit.scope}: `) : '';
+  return `${scope}${commit.description}`;
+}
+
+function buildRows(builds, formatBytes) {
+  return builds.map(b => [b.channel, formatBytes(b.size), formatBytes(b.uploaded)]);
+}
+
+/**
+ * Renders the Markdown devlog draft. `builds` is an optional list of
+ * { channel, size, uploaded } from the publish summary.
+ */
+function renderDevlog(groups, { title, version, previous, date = new Date(), builds, formatBytes = String } = {}) {
+  const lines = [`# ${title}${version ? ` ${version}` : ''}`, ''];
+  const day = date.toISOString().slice(0, 10);
+  lines.push(previous ? `_Released ${day} · changes since ${previous}_` : `_Released ${day}_`, '');
+
+  if (groups.length === 0) lines.push('No notable changes in this release.', '');
+
+  groups.forEach(g => {
+    lines.push(`## ${g.heading}`, '');
+    g.commits.forEach(c => lines.push(`- ${entry(c, true)}`));
+    lines.push('');
+  });
+
+  if (builds && builds.length > 0) {
+    lines.push('## 📦 Builds', '', '| Channel | Size | Uploaded |', '|---------|------|----------|');
+    buildRows(builds, formatBytes).forEach(row => lines.push(`| ${row.join(' | ')} |`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function renderPatchNotes(groups, { title, version, date = new Date(), builds, formatBytes = String } = {}) {
+  const lines = [`${title}${version ? ` ${version}` : ''} - ${date.toISOString().slice(0, 10)}`, ''];
+
+  if (groups.length === 0) lines.push('No notable changes in this release.', '');
+
+  groups.forEach(g => {
+    lines.push(g.title.toUpperCase());
+    g.commits.forEach(c => lines.push(`- ${entry(c, false)}`));
+    lines.push('');
+  });
+
+  if (builds && builds.length > 0) {
+    lines.push('BUILDS');
+    buildRows(builds, formatBytes).forEach(([channel, size]) => lines.push(`- ${channel}: ${size}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { collectCommits, parseCommit, groupCommits, renderDevlog, renderPatchNotes, TYPES };
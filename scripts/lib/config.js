@@ -0,0 +1,227 @@
+/**
+ * Publish Config Loader
+ *
+ * Loads and validates itch-publish.json before anything is pushed, and
+ * applies named profiles (e.g. "beta", "release") on top of the base config.
+ *
+ * Profile format:
+ * {
+ *   "user": "me", "game": "my-game",
+ *   "channels": { "windows": "./build/win", "html5": "./dist" },
+ *   "profiles": {
+ *     "beta": { "game": "my-game-beta" },
+ *     "staging": { "channelSuffix": "-staging", "channels": { "html5": null } }
+ *   }
+ * }
+ *
+ * Profile keys override the base config. `channels` and `budgets` are merged
+ * (null removes a channel), `ignore` lists are concatenated, and
+ * `channelSuffix` is appended to every channel name.
+ */
+
+const fs = require('fs');
+
+const { isAuto } = require('./version');
+const { parseBudget } = require('./manifest');
+
+const TOP_LEVEL_KEYS = ['$schema', 'user', 'game', 'channels', 'version', 'ignore', 'changelog', 'budgets', 'profiles'];
+const CHANGELOG_KEYS = ['dir', 'title', 'builds', 'includeInternal'];
+const PROFILE_KEYS = ['user', 'game', 'channels', 'channelSuffix', 'version', 'ignore', 'budgets'];
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const CHANNEL_RE = /^[a-z0-9][a-z0-9._-]*$/;
+const VERSION_RE = /^\d+(\.\d+){0,3}([-+][0-9A-Za-z.-]+)?$/;
+
+// butler tags uploads by platform when the channel name contains one of these
+const PLATFORM_TAGS = ['windows', 'win', 'linux', 'osx', 'mac', 'android', 'html5', 'web'];
+
+class ConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid config ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkKeys(obj, allowed, where, errors) {
+  Object.keys(obj).forEach(key => {
+    if (!allowed.includes(key)) errors.push(`${where}: unknown key "${key}" (allowed: ${allowed.join(', ')})`);
+  });
+}
+
+function checkGlob(pattern, where, errors) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    errors.push(`${where}: must be a non-empty string`);
+    return;
+  }
+  if (pattern.startsWith('/') || /^[a-z]:[\\/]/i.test(pattern)) {
+    errors.push(`${where}: "${pattern}" is absolute; ignore globs are relative to each channel directory`);
+  }
+  if (pattern.includes('\\')) {
+    errors.push(`${where}: "${pattern}" uses backslashes; use "/" as the separator`);
+  }
+  const pairs = [['[', ']'], ['{', '}']];
+  pairs.forEach(([open, close]) => {
+    if (pattern.split(open).length !== pattern.split(close).length) {
+      errors.push(`${where}: "${pattern}" has unbalanced "${open}${close}"`);
+    }
+  });
+}
+
+function checkFields(config, where, errors) {
+  ['user', 'game'].forEach(key => {
+    if (config[key] === undefined) return;
+    if (typeof config[key] !== 'string' || !NAME_RE.test(config[key])) {
+      errors.push(`${where}.${key}: "${config[key]}" must be letters, digits, "-" or "_"`);
+    }
+  });
+
+  if (config.version !== undefined && (typeof config.version !== 'string' || !(VERSION_RE.test(config.version) || isAuto(config.version)))) {
+    errors.push(`${where}.version: "${config.version}" is not a version like 1.2.3 or 1.2.3-beta.1, or an auto source like "auto:git"`);
+  }
+
+  if (config.ignore !== undefined) {
+    if (!Array.isArray(config.ignore)) errors.push(`${where}.ignore: must be an array of glob strings`);
+    else config.ignore.forEach((p, i) => checkGlob(p, `${where}.ignore[${i}]`, errors));
+  }
+
+  if (config.changelog !== undefined && typeof config.changelog !== 'boolean') {
+    if (!isPlainObject(config.changelog)) errors.push(`${where}.changelog: must be true/false or an object`);
+    else checkKeys(config.changelog, CHANGELOG_KEYS, `${where}.changelog`, errors);
+  }
+
+  if (config.budgets !== undefined) {
+    if (!isPlainObject(config.budgets)) errors.push(`${where}.budgets: must be an object of { "channel": "200MB" }`);
+    else {
+      Object.entries(config.budgets).forEach(([channel, budget]) => {
+        if (parseBudget(budget) === null) errors.push(`${where}.budgets.${channel}: "${budget}" is not a size like 200MB or 1.5GiB`);
+      });
+    }
+  }
+
+  if (config.channels !== undefined && !isPlainObject(config.channels)) {
+    errors.push(`${where}.channels: must be an object of { "channel": "./path" }`);
+  }
+}
+
+function checkChannels(channels, errors, warnings) {
+  const entries = Object.entries(channels);
+  if (entries.length === 0) errors.push('channels: at least one channel is required');
+
+  entries.forEach(([channel, sourcePath]) => {
+    if (!CHANNEL_RE.test(channel)) {
+      errors.push(`channels.${channel}: channel names must be lowercase letters, digits, ".", "-" or "_"`);
+    } else if (!PLATFORM_TAGS.some(tag => channel.split(/[._-]/).includes(tag))) {
+      warnings.push(`channels.${channel}: name has no platform (${PLATFORM_TAGS.join(', ')}); butler won't tag the upload's platform`);
+    }
+
+    if (typeof sourcePath !== 'string' || !sourcePath) {
+      errors.push(`channels.${channel}: path must be a non-empty string`);
+    } else if (!fs.existsSync(sourcePath)) {
+      errors.push(`channels.${channel}: path not found: ${sourcePath}`);
+    }
+  });
+}
+
+function applyProfile(base, name) {
+  const profiles = base.profiles || {};
+  const profile = profiles[name];
+  if (!profile) {
+    const known = Object.keys(profiles);
+    throw new Error(`Unknown profile "${name}"${known.length ? ` (available: ${known.join(', ')})` : ' (config has no profiles)'}`);
+  }
+
+  const { profiles: _, ...config } = base;
+  const merged = { ...config, ...profile, profile: name };
+
+  const channels = { ...(isPlainObject(base.channels) ? base.channels : {}), ...(isPlainObject(profile.channels) ? profile.channels : {}) };
+  Object.keys(channels).forEach(ch => { if (channels[ch] === null) delete channels[ch]; });
+
+  const suffix = profile.channelSuffix || '';
+  const rename = ch => (ch === '*' ? ch : `${ch}${suffix}`);
+  merged.channels = Object.fromEntries(Object.entries(channels).map(([ch, p]) => [rename(ch), p]));
+  if (base.budgets || profile.budgets) {
+    const budgets = { ...(isPlainObject(base.budgets) ? base.budgets : {}), ...(isPlainObject(profile.budgets) ? profile.budgets : {}) };
+    merged.budgets = Object.fromEntries(Object.entries(budgets).map(([ch, b]) => [rename(ch), b]));
+  }
+  merged.ignore = [...(base.ignore || []), ...(profile.ignore || [])];
+  delete merged.channelSuffix;
+
+  return merged;
+}
+
+/**
+ * Reads, validates and resolves a publish config. Throws ConfigError listing
+ * every problem found, so they can all be fixed in one go.
+ *
+ * Returns { config, warnings }.
+ */
+function loadConfig(file, opts = {}) {
+  if (!fs.existsSync(file)) throw new ConfigError(file, ['file not found']);
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(file, [`not valid JSON: ${e.message}`]);
+  }
+  return validateConfig(raw, { ...opts, file });
+}
+
+/**
+ * Validates a config object that didn't come from a file (e.g. one built by
+ * the engine scripts' --push mode). `file` names the source in errors.
+ */
+function validateConfig(raw, opts = {}) {
+  const file = opts.file || 'config';
+  if (!isPlainObject(raw)) throw new ConfigError(file, ['top level must be an object']);
+
+  const errors = [];
+  const warnings = [];
+
+  checkKeys(raw, TOP_LEVEL_KEYS, 'config', errors);
+  checkFields(raw, 'config', errors);
+
+  if (raw.profiles !== undefined) {
+    if (!isPlainObject(raw.profiles)) {
+      errors.push('profiles: must be an object of { "name": { ...overrides } }');
+    } else {
+      Object.entries(raw.profiles).forEach(([name, profile]) => {
+        const where = `profiles.${name}`;
+        if (!isPlainObject(profile)) return errors.push(`${where}: must be an object`);
+        checkKeys(profile, PROFILE_KEYS, where, errors);
+        checkFields(profile, where, errors);
+        if (profile.channelSuffix !== undefined && !/^[a-z0-9._-]+$/.test(profile.channelSuffix)) {
+          errors.push(`${where}.channelSuffix: "${profile.channelSuffix}" must be lowercase letters, digits, ".", "-" or "_"`);
+        }
+      });
+    }
+  }
+
+  let config = { ...raw };
+  try {
+    if (opts.profile) config = applyProfile(raw, opts.profile);
+  } catch (e) {
+    errors.push(e.message);
+  }
+  delete config.profiles;
+
+  if (!config.user) errors.push('user: required');
+  if (!config.game) errors.push('game: required');
+  checkChannels(isPlainObject(config.channels) ? config.channels : {}, errors, warnings);
+  if (isPlainObject(config.budgets) && isPlainObject(config.channels)) {
+    Object.keys(config.budgets).forEach(channel => {
+      if (channel !== '*' && !(channel in config.channels)) warnings.push(`budgets.${channel}: no channel named "${channel}"`);
+    });
+  }
+
+  if (errors.length > 0) throw new ConfigError(file, errors);
+  return { config, warnings };
+}
+
+module.exports = { loadConfig, validateConfig, ConfigError, applyProfile, VERSION_RE };
@@ -0,0 +1,106 @@
+/**
+ * CSV Helpers
+ *
+ * RFC 4180 style CSV output: fields containing commas, quotes or newlines
+ * are quoted, embedded quotes are doubled. stringifyCsv() writes tables
+ * meant for spreadsheets, so its text cells starting with =, +, - or @ get
+ * a leading ' and are shown instead of run as formulas. escapeField() only
+ * quotes, for files other programs read back (itch.io key uploads).
+ *
+ * parseCsv reads the same format back, plus what spreadsheets tend to
+ * produce: a UTF-8 BOM, CRLF line endings, and ";" or tab delimiters.
+ */
+
+const FORMULA_RE = /^[=+\-@\t\r]/;
+const NUMBER_RE = /^[+-]?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/i;
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Negative numbers stay numbers; anything else that could be a formula is defused
+function spreadsheetField(value) {
+  const str = typeof value === 'string' ? value : null;
+  return str && FORMULA_RE.test(str) && !NUMBER_RE.test(str) ? escapeField(`'${str}`) : escapeField(value);
+}
+
+function stringifyCsv(columns, rows) {
+  const lines = [columns.map(spreadsheetField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(c => spreadsheetField(row[c])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Picks the delimiter that appears most often outside quotes on the first line
+function detectDelimiter(text) {
+  let firstLine = '';
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    if (!quoted) firstLine += ch;
+  }
+  const counts = DELIMITERS.map(d => firstLine.split(d).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+/**
+ * Parses CSV text into rows of string fields. Each row also carries the
+ * 1-based line it started on as `row.line`. Blank lines are skipped.
+ */
+function parseCsv(text, { delimiter } = {}) {
+  const input = text.replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(Object.assign(row, { line: rowLine }));
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+module.exports = { escapeField, stringifyCsv, parseCsv, detectDelimiter };
@@ -0,0 +1,78 @@
+/**
+ * Download Key Batches
+ *
+ * itch.io download keys have no notion of "batch" or "recipient", so the
+ * labels given when generating keys are kept locally, by key id, in
+ * .itch/download-keys-<game-id>.json. The keys themselves are never stored.
+ *
+ * Batch file:
+ *   { "batches": [ { "label": "press-2026", "created_at": "...",
+ *                    "keys": [ { "id": 123, "recipient": "Some Outlet" } ] } ] }
+ */
+
+const { parseCsv } = require('./csv');
+const { statePath, readJson, writeJson } = require('./store');
+
+const RECIPIENT_HEADER_RE = /^(?:recipients?|labels?|names?|outlets?|emails?)$/i;
+
+function batchFile(gameId) {
+  return statePath(`download-keys-${gameId}.json`);
+}
+
+function loadBatches(gameId) {
+  return readJson(batchFile(gameId), { batches: [] });
+}
+
+function saveBatches(gameId, data) {
+  writeJson(batchFile(gameId), data);
+}
+
+/**
+ * Reads recipient labels from a text or CSV file: the first column of every
+ * row, skipping a header named like "recipient" / "name" / "email".
+ */
+function readRecipients(text) {
+  const labels = parseCsv(text).map(row => row[0].trim()).filter(Boolean);
+  return labels.length > 0 && RECIPIENT_HEADER_RE.test(labels[0]) ? labels.slice(1) : labels;
+}
+
+// Records a new batch; `recipients[i]` labels `keys[i]`
+function addBatch(data, label, keys, recipients = []) {
+  if (data.batches.some(b => b.label === label)) throw new Error(`Batch "${label}" already exists`);
+  const batch = {
+    label,
+    created_at: new Date().toISOString(),
+    keys: keys.map((k, i) => ({ id: k.id, recipient: recipients[i] || null }))
+  };
+  data.batches.push(batch);
+  return batch;
+}
+
+function isClaimed(key) {
+  return Boolean(key.claimed || key.claimed_at || key.claimed_by || key.owner_id);
+}
+
+/**
+ * Joins API keys with their local batch/recipient labels. Keys generated
+ * outside these scripts get batch null.
+ */
+function labelKeys(keys, data) {
+  const labels = new Map();
+  data.batches.forEach(b => b.keys.forEach(k => labels.set(String(k.id), { batch: b.label, recipient: k.recipient })));
+
+  return keys.map(k => {
+    const label = labels.get(String(k.id)) || { batch: null, recipient: null };
+    return {
+      id: k.id,
+      key: k.key,
+      batch: label.batch,
+      recipient: label.recipient,
+      status: isClaimed(k) ? 'claimed' : 'unclaimed',
+      claimed_at: k.claimed_at || null,
+      claimed_by: k.claimed_by ? k.claimed_by.username || k.claimed_by : null,
+      url: k.url || null
+    };
+  });
+}
+
+module.exports = { loadBatches, saveBatches, readRecipients, addBatch, labelKeys };
@@ -0,0 +1,85 @@
+/**
+ * Report Output Formats
+ *
+ * Renders report sections as JSON, CSV or Markdown so script output can be
+ * piped into spreadsheets, dashboards or PR comments.
+ *
+ * A report is a list of sections: { name, columns, rows }. Every row of a
+ * section has the same keys (`columns`), whatever the data looks like.
+ *
+ * JSON shape:
+ *   { "report": "feedback.sentiment", "generated_at": "...",
+ *     "data": { "<section>": [ {row}, ... ] } }
+ *
+ * CSV is always one table. A multi-section report gets a leading "section"
+ * column and the union of the sections' columns, blank where a section
+ * doesn't have one.
+ */
+
+const { stringifyCsv } = require('./csv');
+
+const FORMATS = ['text', 'json', 'csv', 'markdown'];
+
+function parseFormat(args) {
+  const i = args.indexOf('--format');
+  const inline = args.find(a => a.startsWith('--format='));
+  const format = inline ? inline.split('=')[1] : i !== -1 ? args[i + 1] : 'text';
+
+  if (format === 'md') return 'markdown';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return str.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownTable(columns, rows) {
+  const lines = [
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`
+  ];
+  rows.forEach(row => {
+    lines.push(`| ${columns.map(c => markdownCell(row[c])).join(' | ')} |`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+function pick(columns, row) {
+  const out = {};
+  columns.forEach(c => { out[c] = row[c] === undefined ? null : row[c]; });
+  return out;
+}
+
+function render(report, sections, format) {
+  const multiple = sections.length > 1;
+
+  switch (format) {
+    case 'json': {
+      const data = {};
+      sections.forEach(s => { data[s.name] = s.rows.map(r => pick(s.columns, r)); });
+      return JSON.stringify({ report, generated_at: new Date().toISOString(), data }, null, 2) + '\n';
+    }
+    case 'csv': {
+      if (!multiple) return stringifyCsv(sections[0].columns, sections[0].rows);
+      const columns = ['section', ...new Set(sections.flatMap(s => s.columns))];
+      return stringifyCsv(columns, sections.flatMap(s => s.rows.map(r => ({ ...pick(s.columns, r), section: s.name }))));
+    }
+    case 'markdown':
+      return sections
+        .map(s => (multiple ? `### ${s.name}\n\n` : '') + markdownTable(s.columns, s.rows))
+        .join('\n');
+    default:
+      throw new Error(`Cannot render format "${format}"`);
+  }
+}
+
+function emit(report, sections, format) {
+  process.stdout.write(render(report, sections, format));
+}
+
+module.exports = { FORMATS, parseFormat, render, emit };
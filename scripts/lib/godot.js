@@ -0,0 +1,165 @@
+/**
+ * Godot Export Presets
+ *
+ * Reads a project's export_presets.cfg so builds can be found (and made)
+ * from what the project says it exports, rather than guessed from files.
+ *
+ *   [preset.0]
+ *   name="Windows Desktop"
+ *   platform="Windows Desktop"
+ *   export_path="build/windows/MyGame.exe"
+ *
+ *   [preset.0.options]
+ *   binary_format/embed_pck=false
+ *
+ * Platform names differ between Godot 3 and 4 ("HTML5" / "Web",
+ * "Mac OSX" / "macOS", "Linux/X11" / "Linux"); both are recognized.
+ */
+
+const path = require('path');
+
+const PRESET_PLATFORMS = {
+  'windows desktop': 'windows',
+  'linux/x11': 'linux',
+  'linux': 'linux',
+  'mac osx': 'macos',
+  'macos': 'macos',
+  'html5': 'web',
+  'web': 'web',
+  'android': 'android'
+};
+
+function parseValue(raw) {
+  const value = raw.trim();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(["\\n])/g, (_, ch) => (ch === 'n' ? '\n' : ch));
+  }
+  return value;
+}
+
+// A value continues onto the next line while a string or bracket is open
+function isComplete(raw) {
+  let quoted = false;
+  let depth = 0;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (quoted) {
+      if (ch === '\\') i++;
+      else if (ch === '"') quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth--;
+  }
+  return !quoted && depth <= 0;
+}
+
+/**
+ * Parses Godot's ConfigFile format into { section: { key: value } }.
+ * Strings, booleans and numbers are converted; anything else (arrays,
+ * PackedStringArray(...)) is kept as its raw text.
+ */
+function parseConfig(text) {
+  const sections = {};
+  let current = null;
+  let pending = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (pending) {
+      pending.raw += '\n' + line;
+      if (isComplete(pending.raw)) {
+        current[pending.key] = parseValue(pending.raw);
+        pending = null;
+      }
+      return;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) return;
+
+    const section = trimmed.match(/^\[([^\]]+)\]$/);
+    if (section) {
+      current = sections[section[1]] = sections[section[1]] || {};
+      return;
+    }
+
+    const eq = line.indexOf('=');
+    if (eq === -1 || !current) return;
+    const key = line.slice(0, eq).trim();
+    const raw = line.slice(eq + 1);
+    if (isComplete(raw)) current[key] = parseValue(raw);
+    else pending = { key, raw };
+  });
+
+  return sections;
+}
+
+/**
+ * Returns the presets in export_presets.cfg order:
+ * [{ index, name, platform, godotPlatform, exportPath, options }]
+ * `platform` is one of windows/linux/macos/web/android, or null when the
+ * preset targets something else (iOS, UWP, custom platforms).
+ */
+function parseExportPresets(text) {
+  const sections = parseConfig(text);
+  return Object.keys(sections)
+    .filter(name => /^preset\.\d+$/.test(name))
+    .map(name => {
+      const preset = sections[name];
+      const godotPlatform = String(preset.platform || '');
+      return {
+        index: Number(name.split('.')[1]),
+        name: String(preset.name || name),
+        platform: PRESET_PLATFORMS[godotPlatform.toLowerCase()] || null,
+        godotPlatform,
+        exportPath: preset.export_path ? String(preset.export_path) : '',
+        options: sections[`${name}.options`] || {}
+      };
+    })
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Files a preset's export is expected to produce, relative to the project.
+ * Desktop exports write a .pck next to the binary unless it is embedded;
+ * web exports also write the engine .js/.wasm and the .pck.
+ */
+function expectedArtifacts(preset) {
+  const file = preset.exportPath;
+  if (!file) return [];
+  const base = file.slice(0, file.length - path.extname(file).length);
+
+  switch (preset.platform) {
+    case 'windows':
+    case 'linux':
+      return preset.options['binary_format/embed_pck'] === true ? [file] : [file, `${base}.pck`];
+    case 'web':
+      return [file, `${base}.js`, `${base}.wasm`, `${base}.pck`];
+    default:
+      return [file];
+  }
+}
+
+/**
+ * What to hand to butler for a preset: the export folder for desktop and
+ * web builds, the export itself for macOS and Android (.zip/.dmg/.app/.apk).
+ */
+function pushPath(preset) {
+  const single = ['.zip', '.dmg', '.app', '.apk', '.aab'].includes(path.extname(preset.exportPath).toLowerCase());
+  return single ? preset.exportPath : path.dirname(preset.exportPath);
+}
+
+// Arguments for a headless Godot 4 export of one preset
+function exportArgs(preset, projectDir, { debug = false } = {}) {
+  return [
+    '--headless',
+    '--path', projectDir,
+    debug ? '--export-debug' : '--export-release',
+    preset.name,
+    path.resolve(projectDir, preset.exportPath)
+  ];
+}
+
+module.exports = { parseConfig, parseExportPresets, expectedArtifacts, pushPath, exportArgs, PRESET_PLATFORMS };
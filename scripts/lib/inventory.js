@@ -0,0 +1,73 @@
+/**
+ * Key Inventory Forecasting
+ *
+ * Works out how fast keys are being claimed (from their `claimed_at`
+ * timestamps) and how many days the remaining keys will last at that rate.
+ *
+ * Usage:
+ *   const { summarize, forecast } = require('./lib/inventory');
+ *   const snapshot = summarize(steamKeys);
+ *   const runway = forecast(steamKeys, { windowDays: 30 });
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function summarize(keys, now = new Date()) {
+  const claimed = keys.filter(k => k.claimed).length;
+  return {
+    recorded_at: now.toISOString(),
+    total: keys.length,
+    claimed,
+    available: keys.length - claimed
+  };
+}
+
+/**
+ * Claims per day over the last `windowDays`. When the first claim is more
+ * recent than that, the rate is taken over the time since the first claim
+ * (at least one day) so a fresh launch isn't diluted by empty days.
+ */
+function claimRate(keys, { windowDays = 30, now = new Date() } = {}) {
+  const since = now.getTime() - windowDays * DAY_MS;
+  const times = keys
+    .filter(k => k.claimed && k.claimed_at)
+    .map(k => new Date(k.claimed_at).getTime())
+    .filter(t => !Number.isNaN(t) && t <= now.getTime());
+  const recent = times.filter(t => t >= since);
+  if (recent.length === 0) return { perDay: 0, claims: 0, days: windowDays };
+
+  const first = Math.min(...times);
+  const days = Math.max(Math.min(windowDays, (now.getTime() - first) / DAY_MS), 1);
+  return { perDay: recent.length / days, claims: recent.length, days };
+}
+
+/**
+ * Returns { available, perDay, claims, days, runwayDays, runsOutAt }.
+ * runwayDays and runsOutAt are null when nothing is being claimed.
+ */
+function forecast(keys, { windowDays = 30, now = new Date() } = {}) {
+  const { available } = summarize(keys, now);
+  const rate = claimRate(keys, { windowDays, now });
+
+  let runwayDays = null;
+  if (available === 0) runwayDays = 0;
+  else if (rate.perDay > 0) runwayDays = available / rate.perDay;
+
+  return {
+    available,
+    ...rate,
+    runwayDays,
+    runsOutAt: runwayDays === null ? null : new Date(now.getTime() + runwayDays * DAY_MS).toISOString()
+  };
+}
+
+// What changed between two recorded snapshots
+function compareSnapshots(before, after) {
+  return {
+    since: before.recorded_at,
+    claimed: after.claimed - before.claimed,
+    added: after.total - before.total
+  };
+}
+
+module.exports = { summarize, claimRate, forecast, compareSnapshots };
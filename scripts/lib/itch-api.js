@@ -0,0 +1,147 @@
+/**
+ * itch.io API Client
+ *
+ * Shared HTTP client for the itch.io server-side API.
+ *
+ * Usage:
+ *   const { createClient } = require('./lib/itch-api');
+ *   const itch = createClient({ apiKey: process.env.ITCH_IO_API_KEY });
+ *   const { games } = await itch.get('/games');
+ *   const comments = await itch.paginate(`/games/${id}/comments`, 'comments');
+ *
+ * Environment:
+ *   ITCH_IO_API_URL    Override the base URL (e.g. a local mock server)
+ */
+
+const DEFAULT_BASE_URL = 'https://api.itch.io';
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+class ItchApiError extends Error {
+  constructor(message, { status = 0, body = null, url = '', method = 'GET' } = {}) {
+    super(message);
+    this.name = 'ItchApiError';
+    this.status = status;
+    this.body = body;
+    this.url = url;
+    this.method = method;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryDelay(attempt, res, baseDelay) {
+  const retryAfter = res && res.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  // Exponential backoff with jitter: 500ms, 1s, 2s, ...
+  return baseDelay * 2 ** attempt + Math.floor(Math.random() * baseDelay);
+}
+
+async function readBody(res) {
+  const text = await res.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return text;
+  }
+}
+
+function errorMessage(status, body) {
+  if (body && Array.isArray(body.errors)) return `HTTP ${status}: ${body.errors.join(', ')}`;
+  if (typeof body === 'string' && body) return `HTTP ${status}: ${body.substring(0, 200)}`;
+  return `HTTP ${status}`;
+}
+
+function createClient(opts = {}) {
+  const apiKey = opts.apiKey || process.env.ITCH_IO_API_KEY;
+  const baseUrl = (opts.baseUrl || process.env.ITCH_IO_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const retries = opts.retries ?? 3;
+  const timeout = opts.timeout ?? 15000;
+  const baseDelay = opts.retryDelay ?? 500;
+  const fetchImpl = opts.fetch || fetch;
+
+  function buildUrl(endpoint, query) {
+    const url = new URL(baseUrl + endpoint);
+    Object.entries(query || {}).forEach(([k, v]) => {
+      if (v !== undefined && v !== null) url.searchParams.set(k, v);
+    });
+    return url.toString();
+  }
+
+  async function request(endpoint, { method = 'GET', query, body, headers = {} } = {}) {
+    const url = buildUrl(endpoint, query);
+    const canRetryServerError = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let res;
+      let data;
+
+      try {
+        res = await fetchImpl(url, {
+          method,
+          headers: { 'Authorization': apiKey, ...headers },
+          body,
+          signal: controller.signal
+        });
+        // The timeout also covers reading the body; a dropped or stalled response fails like a dropped request
+        data = await readBody(res);
+      } catch (e) {
+        const reason = e.name === 'AbortError' ? `timed out after ${timeout}ms` : e.message;
+        if (attempt < retries && canRetryServerError) {
+          await sleep(retryDelay(attempt, null, baseDelay));
+          continue;
+        }
+        throw new ItchApiError(`${method} ${endpoint} failed: ${reason}`, { url, method });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (res.ok) return data;
+
+      const retryable = res.status === 429 || (canRetryServerError && RETRY_STATUSES.includes(res.status));
+      if (retryable && attempt < retries) {
+        await sleep(retryDelay(attempt, res, baseDelay));
+        continue;
+      }
+
+      throw new ItchApiError(errorMessage(res.status, data), { status: res.status, body: data, url, method });
+    }
+  }
+
+  /**
+   * Fetches every page of a paginated listing and returns the combined array.
+   * Stops when a page comes back short of `per_page`, empty, or unpaginated.
+   */
+  async function paginate(endpoint, key, { query, maxPages = 100 } = {}) {
+    const items = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const data = await request(endpoint, { query: { ...query, page } });
+      const batch = (data && data[key]) || [];
+      items.push(...batch);
+
+      const perPage = data && Number(data.per_page);
+      if (batch.length === 0 || !perPage || batch.length < perPage) break;
+    }
+
+    return items;
+  }
+
+  return {
+    baseUrl,
+    request,
+    paginate,
+    get: (endpoint, opts) => request(endpoint, { ...opts, method: 'GET' }),
+    post: (endpoint, body, opts) => request(endpoint, { ...opts, method: 'POST', body }),
+    delete: (endpoint, opts) => request(endpoint, { ...opts, method: 'DELETE' })
+  };
+}
+
+module.exports = { createClient, ItchApiError, DEFAULT_BASE_URL };
@@ -0,0 +1,152 @@
+/**
+ * Steam Key Files
+ *
+ * Reads Steam key lists exported from Steamworks or hand-made spreadsheets
+ * and sorts every key into accepted, invalid, duplicate (within the file)
+ * or already uploaded before anything is sent to itch.io.
+ *
+ * Accepted key formats (letters and digits, case-insensitive):
+ *   AAAAA-BBBBB-CCCCC
+ *   AAAAA-BBBBB-CCCCC-DDDDD
+ *   AAAAA-BBBBB-CCCCC-DDDDD-EEEEE
+ *
+ * Keys are shown redacted (AAAAA-*****-***CC) unless the caller opts in to
+ * revealing them, so they don't end up in terminal logs by accident.
+ *
+ * Usage:
+ *   const { readKeyFile, checkKeys } = require('./lib/keys');
+ *   const file = readKeyFile(fs.readFileSync('keys.csv', 'utf8'));
+ *   const report = checkKeys(file.entries, existingKeys);
+ */
+
+const { parseCsv, escapeField } = require('./csv');
+
+const STEAM_KEY_RE = /^[A-Z0-9]{5}(?:-[A-Z0-9]{5}){2,4}$/;
+const KEYISH_RE = /^[A-Za-z0-9]{4,6}(?:[-\s][A-Za-z0-9]{3,7}){2,4}$/;
+const KEY_HEADER_RE = /^(?:steam[\s_-]*)?(?:keys?|codes?|cd[\s_-]*keys?|product[\s_-]*keys?)$/i;
+
+function normalizeKey(value) {
+  return String(value || '').trim().toUpperCase().replace(/\s*-\s*/g, '-');
+}
+
+function isSteamKey(value) {
+  return STEAM_KEY_RE.test(normalizeKey(value));
+}
+
+function looksLikeKey(value) {
+  const v = String(value || '').trim();
+  return isSteamKey(v) || KEYISH_RE.test(v);
+}
+
+function whyInvalid(value) {
+  const key = normalizeKey(value);
+  if (!key) return 'empty';
+  if (/[^A-Z0-9-]/.test(key)) return 'contains characters other than letters, digits and "-"';
+  const groups = key.split('-');
+  if (groups.length < 3 || groups.length > 5) return `has ${groups.length} group(s), expected 3 to 5`;
+  const bad = groups.findIndex(g => g.length !== 5);
+  if (bad !== -1) return `group ${bad + 1} has ${groups[bad].length} characters, expected 5`;
+  return 'not a Steam key';
+}
+
+/**
+ * Finds the column holding the keys: a header named like "key" / "steam key",
+ * otherwise the column with the most key-shaped values.
+ */
+function detectKeyColumn(rows, header) {
+  if (header) {
+    const named = header.findIndex(h => KEY_HEADER_RE.test(h.trim()));
+    if (named !== -1) return named;
+  }
+  const width = Math.max(...rows.map(r => r.length), 1);
+  const scores = Array.from({ length: width }, (_, col) => rows.filter(r => looksLikeKey(r[col])).length);
+  return scores.indexOf(Math.max(...scores));
+}
+
+/**
+ * Parses a key CSV. Returns { header, keyColumn, entries } where
+ * each entry is { line, key, note } and `key` is normalized.
+ */
+function readKeyFile(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { header: null, keyColumn: 0, entries: [] };
+
+  // Only a first row naming the key column is a header; anything else is data,
+  // so a malformed first key is reported as invalid instead of vanishing
+  const header = rows[0].some(h => KEY_HEADER_RE.test(h.trim())) ? rows[0].map(h => h.trim()) : null;
+  const body = header ? rows.slice(1) : rows;
+  const keyColumn = detectKeyColumn(body, header);
+
+  const entries = body.map(row => ({
+    line: row.line,
+    key: normalizeKey(row[keyColumn]),
+    note: row.filter((_, i) => i !== keyColumn).map(v => v.trim()).filter(Boolean).join(' ')
+  }));
+
+  return { header, keyColumn, entries };
+}
+
+/**
+ * Sorts entries into accepted / invalid / duplicates / uploaded.
+ * `existing` is an iterable of keys already on itch.io.
+ */
+function checkKeys(entries, existing = []) {
+  const uploaded = new Set([...existing].map(normalizeKey));
+  const firstSeen = new Map();
+  const report = { accepted: [], invalid: [], duplicates: [], uploaded: [] };
+
+  entries.forEach(entry => {
+    if (!STEAM_KEY_RE.test(entry.key)) {
+      report.invalid.push({ ...entry, reason: whyInvalid(entry.key) });
+    } else if (firstSeen.has(entry.key)) {
+      report.duplicates.push({ ...entry, first_line: firstSeen.get(entry.key) });
+    } else if (uploaded.has(entry.key)) {
+      firstSeen.set(entry.key, entry.line);
+      report.uploaded.push(entry);
+    } else {
+      firstSeen.set(entry.key, entry.line);
+      report.accepted.push(entry);
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Masks everything but the first group and the last two characters:
+ * AAAAA-BBBBB-CCCCC → AAAAA-*****-***CC. Values without dashes keep only
+ * their first and last two characters.
+ */
+function redactKey(value) {
+  const key = String(value || '');
+  if (key.length <= 4) return '*'.repeat(key.length);
+
+  const groups = key.split('-');
+  if (groups.length < 2) return key.slice(0, 2) + '*'.repeat(key.length - 4) + key.slice(-2);
+
+  return groups.map((g, i) => {
+    if (i === 0) return g;
+    if (i === groups.length - 1) return '*'.repeat(Math.max(g.length - 2, 0)) + g.slice(-2);
+    return '*'.repeat(g.length);
+  }).join('-');
+}
+
+function keyFormatter(reveal) {
+  return reveal ? key => key : redactKey;
+}
+
+// The format itch.io takes for upload: one "KEY,Note" per line, no header
+function toUploadCsv(entries) {
+  return entries.map(e => (e.note ? `${e.key},${escapeField(e.note)}` : e.key)).join('\n') + '\n';
+}
+
+module.exports = {
+  readKeyFile,
+  checkKeys,
+  toUploadCsv,
+  redactKey,
+  keyFormatter,
+  normalizeKey,
+  isSteamKey,
+  STEAM_KEY_RE
+};
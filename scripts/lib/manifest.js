@@ -0,0 +1,205 @@
+/**
+ * Build Manifests & Size Budgets
+ *
+ * Records what a build directory contains (every file's size and SHA-256)
+ * so releases can be compared, and checks builds against size budgets
+ * before they are pushed.
+ *
+ * Manifest format:
+ * {
+ *   "channel": "windows", "version": "1.4.0", "created_at": "...",
+ *   "total_size": 123456, "file_count": 42,
+ *   "files": { "data/level1.pck": { "size": 1024, "sha256": "..." } }
+ * }
+ *
+ * Builds pushed as a .zip record each entry's CRC-32 ("crc32") instead of
+ * a SHA-256.
+ *
+ * Usage:
+ *   const { buildManifest, diffManifests } = require('./lib/manifest');
+ *   const diff = diffManifests(previous, await buildManifest('./build/win', { ignore: ['*.pdb'] }));
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const { withZip, isZip } = require('./zip');
+
+// butler never uploads these, so they don't count towards a build
+const DEFAULT_IGNORE = ['.git', '.hg', '.svn', '.DS_Store', '__MACOSX', '._*', 'Thumbs.db', '.itch'];
+
+const SIZE_UNITS = { B: 1, KB: 1e3, MB: 1e6, GB: 1e9, KIB: 1024, MIB: 1024 ** 2, GIB: 1024 ** 3 };
+const HASH_CHUNK = 1024 * 1024;
+
+function parseSize(value, unit = 'B') {
+  return Math.round(parseFloat(value) * (SIZE_UNITS[unit.toUpperCase()] || 1));
+}
+
+/**
+ * Parses a budget like 200000000, "200MB" or "1.5 GiB" into bytes.
+ * Returns null for anything else.
+ */
+function parseBudget(value) {
+  if (typeof value === 'number') return value >= 0 ? value : null;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMG]i?B|B)?$/i);
+  return m ? parseSize(m[1], m[2] || 'B') : null;
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  const sign = bytes < 0 ? '-' : '';
+  bytes = Math.abs(bytes);
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) { bytes /= 1024; i++; }
+  return `${sign}${bytes.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+/**
+ * Converts a butler-style ignore glob to a RegExp. Patterns without a "/"
+ * match a file or directory name at any depth; "**" spans directories.
+ */
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      re += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[') {
+      const end = pattern.indexOf(']', i);
+      re += end === -1 ? '\\[' : pattern.slice(i, end + 1).replace(/^\[!/, '[^');
+      i = end === -1 ? i : end;
+    } else if (c === '{') {
+      const end = pattern.indexOf('}', i);
+      re += end === -1 ? '\\{' : `(?:${pattern.slice(i + 1, end).split(',').map(s => s.replace(/[.+^$()|\\]/g, '\\$&')).join('|')})`;
+      i = end === -1 ? i : end;
+    } else {
+      re += c.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  const anchored = pattern.includes('/') ? `^${re}` : `(?:^|/)${re}`;
+  return new RegExp(`${anchored}(?:/|$)`);
+}
+
+function createIgnore(patterns = []) {
+  const res = [...DEFAULT_IGNORE, ...patterns].map(globToRegExp);
+  return relPath => res.some(re => re.test(relPath));
+}
+
+// Streamed, so hashing a large build doesn't block other channels' uploads
+async function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file, { highWaterMark: HASH_CHUNK }), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Lists the files butler would upload from `root`, as "/"-separated paths
+ * relative to it. Symlinks are not followed. A .zip root lists the
+ * archive's entries, which is what butler uploads when given a zip.
+ */
+function walkFiles(root, { ignore = [] } = {}) {
+  const ignored = createIgnore(ignore);
+  const files = [];
+
+  if (isZip(root) && fs.statSync(root).isFile()) {
+    return withZip(root, zip => zip.files())
+      .filter(f => !ignored(f.path))
+      .map(f => ({ path: f.path, full: null, size: f.size, crc32: f.crc32 }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  (function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const full = path.join(dir, entry.name);
+      const rel = path.relative(root, full).split(path.sep).join('/');
+      if (ignored(rel)) return;
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) files.push({ path: rel, full, size: fs.statSync(full).size });
+    });
+  })(root);
+
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Zip entries are identified by their stored CRC-32 rather than re-read
+async function fileHash(f) {
+  return f.full ? { size: f.size, sha256: await hashFile(f.full) } : { size: f.size, crc32: f.crc32 };
+}
+
+async function buildManifest(root, { ignore = [], hash = true } = {}) {
+  const files = walkFiles(root, { ignore });
+  const entries = [];
+  for (const f of files) entries.push([f.path, hash ? await fileHash(f) : { size: f.size }]);
+  return {
+    created_at: new Date().toISOString(),
+    total_size: files.reduce((sum, f) => sum + f.size, 0),
+    file_count: files.length,
+    files: Object.fromEntries(entries)
+  };
+}
+
+/**
+ * Compares two manifests. Lists are sorted largest first:
+ * added/removed by size, grown/shrunk by how much they changed.
+ */
+function diffManifests(before, after) {
+  const prev = (before && before.files) || {};
+  const next = after.files;
+  const diff = { added: [], removed: [], grown: [], shrunk: [], changed: [] };
+
+  Object.entries(next).forEach(([file, info]) => {
+    const old = prev[file];
+    if (!old) return diff.added.push({ path: file, size: info.size });
+    const delta = info.size - old.size;
+    if (delta > 0) diff.grown.push({ path: file, before: old.size, after: info.size, delta });
+    else if (delta < 0) diff.shrunk.push({ path: file, before: old.size, after: info.size, delta });
+    else if ((old.sha256 && info.sha256 && old.sha256 !== info.sha256) ||
+      (old.crc32 !== undefined && info.crc32 !== undefined && old.crc32 !== info.crc32)) diff.changed.push({ path: file, size: info.size });
+  });
+  Object.entries(prev).forEach(([file, info]) => {
+    if (!next[file]) diff.removed.push({ path: file, size: info.size });
+  });
+
+  diff.added.sort((a, b) => b.size - a.size);
+  diff.removed.sort((a, b) => b.size - a.size);
+  diff.grown.sort((a, b) => b.delta - a.delta);
+  diff.shrunk.sort((a, b) => a.delta - b.delta);
+
+  diff.total_before = before ? before.total_size : 0;
+  diff.total_after = after.total_size;
+  diff.total_delta = diff.total_after - diff.total_before;
+  diff.files_before = before ? before.file_count : 0;
+  diff.files_after = after.file_count;
+  return diff;
+}
+
+/**
+ * Looks up the budget for a channel: its own entry, else "*". Returns bytes
+ * or null when the channel has no budget.
+ */
+function budgetFor(budgets, channel) {
+  if (!budgets) return null;
+  const value = budgets[channel] !== undefined ? budgets[channel] : budgets['*'];
+  return value === undefined ? null : parseBudget(value);
+}
+
+module.exports = {
+  buildManifest,
+  diffManifests,
+  walkFiles,
+  createIgnore,
+  globToRegExp,
+  budgetFor,
+  parseBudget,
+  parseSize,
+  formatBytes,
+  DEFAULT_IGNORE
+};
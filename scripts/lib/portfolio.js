@@ -0,0 +1,366 @@
+/**
+ * Portfolio Report
+ *
+ * Collects stats for every game on the account (views, downloads,
+ * purchases, ratings, comment sentiment and Steam key inventory) and
+ * renders them as one self-contained HTML page: no external CSS, fonts,
+ * scripts or images, so the file can be mailed around or opened offline.
+ *
+ * Tables sort by clicking a column header; charts are inline SVG.
+ *
+ * Usage:
+ *   const { collectPortfolio, renderPortfolio } = require('./lib/portfolio');
+ *   const portfolio = await collectPortfolio(itch, { analyze, history });
+ *   fs.writeFileSync('portfolio.html', renderPortfolio(portfolio));
+ */
+
+const { summarize, forecast } = require('./inventory');
+
+const PORTFOLIO_COLUMNS = [
+  'id', 'title', 'views', 'downloads', 'purchases', 'price', 'views_to_downloads', 'downloads_to_purchases',
+  'rating', 'rating_count', 'comments', 'positive', 'neutral', 'negative', 'sentiment_score',
+  'keys_total', 'keys_claimed', 'keys_available', 'keys_runway_days'
+];
+const PALETTE = { views: '#4e79a7', downloads: '#f28e2b', positive: '#59a14f', neutral: '#bab0ac', negative: '#e15759' };
+const DAY = 24 * 60 * 60 * 1000;
+
+function ratio(a, b) {
+  return b ? Number((a / b).toFixed(4)) : null;
+}
+
+async function optional(fn) {
+  try {
+    return await fn();
+  } catch {
+    return null;
+  }
+}
+
+async function collectGame(itch, game, analyze) {
+  const comments = await optional(() => itch.paginate(`/games/${game.id}/comments`, 'comments'));
+  const keys = await optional(() => itch.paginate(`/games/${game.id}/steam_keys`, 'steam_keys'));
+
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  let scoreSum = 0;
+  (comments || []).forEach(c => {
+    const result = analyze(c.body || '');
+    counts[result.label]++;
+    scoreSum += result.score;
+  });
+
+  const views = game.views_count || 0;
+  const downloads = game.downloads_count || 0;
+  const purchases = game.purchases_count || 0;
+  const stock = keys ? summarize(keys) : null;
+  const outlook = keys && keys.length ? forecast(keys) : null;
+
+  return {
+    id: game.id,
+    title: game.title,
+    url: game.url || null,
+    views,
+    downloads,
+    purchases,
+    price: game.price ? game.price / 100 : 0,
+    views_to_downloads: ratio(downloads, views),
+    downloads_to_purchases: ratio(purchases, downloads),
+    rating: game.rating ? Number((game.rating / 20).toFixed(1)) : null,
+    rating_count: game.rating_count || 0,
+    comments: comments ? comments.length : null,
+    ...(comments ? counts : { positive: null, neutral: null, negative: null }),
+    sentiment_score: comments && comments.length ? Number((scoreSum / comments.length).toFixed(3)) : null,
+    keys_total: stock ? stock.total : null,
+    keys_claimed: stock ? stock.claimed : null,
+    keys_available: stock ? stock.available : null,
+    keys_runway_days: outlook && outlook.runwayDays !== null ? Number(outlook.runwayDays.toFixed(1)) : null
+  };
+}
+
+/**
+ * Account-wide totals per day from stored analytics snapshots (last one of
+ * each day). A game not snapshotted on a day (`snapshot <id>` runs) counts
+ * with its last known values, so single-game days don't look like drops.
+ */
+function dailyTotals(history) {
+  const days = new Map();
+  history.forEach(s => {
+    const day = s.ts.slice(0, 10);
+    if (!days.has(day)) days.set(day, new Map());
+    days.get(day).set(s.game_id, s);
+  });
+  const latest = new Map();
+  return [...days.keys()].sort().map(day => {
+    days.get(day).forEach((s, id) => latest.set(id, s));
+    const snaps = [...latest.values()];
+    return {
+      day,
+      views: snaps.reduce((n, s) => n + s.views, 0),
+      downloads: snaps.reduce((n, s) => n + s.downloads, 0)
+    };
+  });
+}
+
+/**
+ * Fetches every game and its comments and Steam keys. Per-game failures
+ * (e.g. a game without Steam keys) leave those columns null.
+ * `history` is the analytics snapshot list, used for the trend chart.
+ */
+async function collectPortfolio(itch, { analyze, history = [], onGame } = {}) {
+  const games = await itch.paginate('/games', 'games');
+  const rows = [];
+  for (const game of games) {
+    if (onGame) onGame(game);
+    rows.push(await collectGame(itch, game, analyze));
+  }
+
+  const sum = key => rows.reduce((n, r) => n + (r[key] || 0), 0);
+  const rated = rows.filter(r => r.rating !== null && r.rating_count);
+  const ratingCount = rated.reduce((n, r) => n + r.rating_count, 0);
+
+  return {
+    generated_at: new Date().toISOString(),
+    games: rows,
+    totals: {
+      games: rows.length,
+      views: sum('views'),
+      downloads: sum('downloads'),
+      purchases: sum('purchases'),
+      views_to_downloads: ratio(sum('downloads'), sum('views')),
+      downloads_to_purchases: ratio(sum('purchases'), sum('downloads')),
+      rating: ratingCount ? Number((rated.reduce((n, r) => n + r.rating * r.rating_count, 0) / ratingCount).toFixed(2)) : null,
+      comments: sum('comments'),
+      negative: sum('negative'),
+      keys_available: sum('keys_available')
+    },
+    // Totals run over the whole history so games last seen before the window still count
+    trend: dailyTotals(history).filter(d => Date.parse(d.day) >= Date.now() - 90 * DAY)
+  };
+}
+
+// --- HTML rendering ---
+
+function esc(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Games can come back from the API without a title
+function gameName(row) {
+  return String(row.title ?? row.id);
+}
+
+function num(value) {
+  return value === null || value === undefined ? '–' : Number(value).toLocaleString('en-US');
+}
+
+function pct(value) {
+  return value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * A sortable table. Each column is { label, key, format? }; cells carry the
+ * raw value in data-sort so numbers sort numerically and blanks sort last.
+ */
+function table(columns, rows) {
+  const head = columns.map((c, i) => `<th data-col="${i}">${esc(c.label)}</th>`).join('');
+  const body = rows.map(r => `<tr>${columns.map(c => {
+    const value = r[c.key];
+    const text = c.format ? c.format(value, r) : esc(value);
+    return `<td data-sort="${esc(value ?? '')}">${text}</td>`;
+  }).join('')}</tr>`).join('\n');
+  return `<table class="sortable"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// Horizontal bars, one group per row, one bar per series
+function barChart(rows, series, { label = gameName, width = 720 } = {}) {
+  const barH = 12;
+  const groupH = series.length * barH + 10;
+  const labelW = 180;
+  const max = Math.max(1, ...rows.flatMap(r => series.map(s => r[s] || 0)));
+  const height = rows.length * groupH + 24;
+
+  const bars = rows.map((r, i) => {
+    const y = i * groupH;
+    const name = `<text x="${labelW - 8}" y="${y + groupH / 2 + 2}" text-anchor="end">${esc(label(r).slice(0, 28))}</text>`;
+    return name + series.map((s, j) => {
+      const w = ((r[s] || 0) / max) * (width - labelW - 70);
+      return `<rect x="${labelW}" y="${y + j * barH}" width="${w.toFixed(1)}" height="${barH - 2}" fill="${PALETTE[s]}"><title>${esc(label(r))}: ${num(r[s])} ${s}</title></rect>` +
+        `<text x="${(labelW + w + 4).toFixed(1)}" y="${y + j * barH + barH - 3}" class="value">${num(r[s])}</text>`;
+    }).join('');
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">${bars}${legend(series, height - 8)}</svg>`;
+}
+
+// One 100%-wide bar per row, split between the series
+function stackedChart(rows, series, { label = gameName, width = 720 } = {}) {
+  const rowH = 20;
+  const labelW = 180;
+  const inner = width - labelW - 10;
+  const height = rows.length * rowH + 24;
+
+  const bars = rows.map((r, i) => {
+    const total = series.reduce((n, s) => n + (r[s] || 0), 0);
+    const y = i * rowH;
+    let x = labelW;
+    const parts = series.map(s => {
+      const w = total ? ((r[s] || 0) / total) * inner : 0;
+      const rect = `<rect x="${x.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${rowH - 4}" fill="${PALETTE[s]}"><title>${esc(label(r))}: ${r[s] || 0} ${s}</title></rect>`;
+      x += w;
+      return rect;
+    }).join('');
+    return `<text x="${labelW - 8}" y="${y + rowH / 2 + 2}" text-anchor="end">${esc(label(r).slice(0, 28))}</text>${parts}`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">${bars}${legend(series, height - 8)}</svg>`;
+}
+
+function lineChart(points, series, { width = 720, height = 220 } = {}) {
+  const pad = { left: 60, right: 10, top: 10, bottom: 40 };
+  const max = Math.max(1, ...points.flatMap(p => series.map(s => p[s])));
+  const x = i => pad.left + (points.length === 1 ? 0 : (i / (points.length - 1)) * (width - pad.left - pad.right));
+  const y = v => pad.top + (1 - v / max) * (height - pad.top - pad.bottom);
+
+  const lines = series.map(s => {
+    const d = points.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p[s]).toFixed(1)}`).join(' ');
+    return `<path d="${d}" fill="none" stroke="${PALETTE[s]}" stroke-width="2"/>`;
+  }).join('');
+  const axis = `<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" class="axis"/>` +
+    `<text x="${pad.left - 6}" y="${pad.top + 8}" text-anchor="end">${num(max)}</text>` +
+    `<text x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end">0</text>` +
+    `<text x="${pad.left}" y="${height - pad.bottom + 14}">${esc(points[0].day)}</text>` +
+    `<text x="${width - pad.right}" y="${height - pad.bottom + 14}" text-anchor="end">${esc(points[points.length - 1].day)}</text>`;
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">${axis}${lines}${legend(series, height - 6)}</svg>`;
+}
+
+function legend(series, y) {
+  return series.map((s, i) => `<rect x="${180 + i * 110}" y="${y - 9}" width="10" height="10" fill="${PALETTE[s]}"/>` +
+    `<text x="${194 + i * 110}" y="${y}">${esc(s)}</text>`).join('');
+}
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #222; background: #fafafa; }
+  h1 { margin-bottom: 0.2rem; }
+  .meta { color: #777; margin-top: 0; }
+  .cards { display: flex; flex-wrap: wrap; gap: 0.8rem; margin: 1.5rem 0; }
+  .card { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 0.7rem 1rem; min-width: 120px; }
+  .card b { display: block; font-size: 1.4rem; }
+  .card span { color: #777; font-size: 0.85rem; }
+  table { border-collapse: collapse; width: 100%; background: #fff; margin-bottom: 2rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.35rem 0.6rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f0f0f0; cursor: pointer; user-select: none; white-space: nowrap; }
+  th.asc::after { content: ' ▲'; } th.desc::after { content: ' ▼'; }
+  svg { width: 100%; height: auto; background: #fff; border: 1px solid #ddd; border-radius: 6px; margin-bottom: 2rem; font-size: 11px; }
+  svg text { fill: #444; } svg text.value { fill: #777; font-size: 10px; } svg .axis { stroke: #bbb; }
+  .warn { color: #c0392b; font-weight: bold; }
+  a { color: #4e79a7; }
+`;
+
+// Click a header to sort; click again to reverse. Blank cells always sort last.
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach(th => th.addEventListener('click', () => {
+  const table = th.closest('table');
+  const col = Number(th.dataset.col);
+  const desc = !th.classList.contains('desc');
+  table.querySelectorAll('th').forEach(h => h.classList.remove('asc', 'desc'));
+  th.classList.add(desc ? 'desc' : 'asc');
+  const rows = [...table.tBodies[0].rows];
+  const key = r => r.cells[col].dataset.sort;
+  rows.sort((a, b) => {
+    const x = key(a), y = key(b);
+    if (x === '' || y === '') return x === y ? 0 : x === '' ? 1 : -1;
+    const nx = Number(x), ny = Number(y);
+    const cmp = isNaN(nx) || isNaN(ny) ? x.localeCompare(y) : nx - ny;
+    return desc ? -cmp : cmp;
+  });
+  rows.forEach(r => table.tBodies[0].appendChild(r));
+}));
+`;
+
+function renderPortfolio(portfolio, { title = 'itch.io Portfolio', runwayAlertDays = 14 } = {}) {
+  const { games, totals, trend } = portfolio;
+  const byViews = [...games].sort((a, b) => b.views - a.views);
+  const withComments = byViews.filter(g => g.comments);
+  const withKeys = games.filter(g => g.keys_total);
+
+  const titleCell = (value, r) => (r.url ? `<a href="${esc(r.url)}">${esc(gameName(r))}</a>` : esc(gameName(r)));
+  const runway = value => (value === null ? '–' : value < runwayAlertDays ? `<span class="warn">${value} d</span>` : `${value} d`);
+
+  const cards = [
+    ['Games', num(totals.games)],
+    ['Views', num(totals.views)],
+    ['Downloads', num(totals.downloads)],
+    ['Purchases', num(totals.purchases)],
+    ['View → download', pct(totals.views_to_downloads)],
+    ['Download → purchase', pct(totals.downloads_to_purchases)],
+    ['Avg rating', totals.rating === null ? '–' : `${totals.rating} ★`],
+    ['Comments', `${num(totals.comments)} (${num(totals.negative)} negative)`],
+    ['Steam keys left', num(totals.keys_available)]
+  ].map(([label, value]) => `<div class="card"><b>${value}</b><span>${esc(label)}</span></div>`).join('');
+
+  const sections = [
+    '<h2>Games</h2>',
+    table([
+      { label: 'Game', key: 'title', format: titleCell },
+      { label: 'Views', key: 'views', format: num },
+      { label: 'Downloads', key: 'downloads', format: num },
+      { label: 'Purchases', key: 'purchases', format: num },
+      { label: 'Price', key: 'price', format: v => (v ? `$${v.toFixed(2)}` : 'free') },
+      { label: 'View → DL', key: 'views_to_downloads', format: pct },
+      { label: 'DL → purchase', key: 'downloads_to_purchases', format: pct },
+      { label: 'Rating', key: 'rating', format: (v, r) => (v === null ? '–' : `${v} ★ (${r.rating_count})`) }
+    ], byViews),
+    barChart(byViews, ['views', 'downloads'])
+  ];
+
+  if (trend.length > 1) {
+    sections.push('<h2>Last 90 days</h2>', lineChart(trend, ['views', 'downloads']));
+  }
+
+  sections.push(
+    '<h2>Comment sentiment</h2>',
+    table([
+      { label: 'Game', key: 'title', format: titleCell },
+      { label: 'Comments', key: 'comments', format: num },
+      { label: 'Positive', key: 'positive', format: num },
+      { label: 'Neutral', key: 'neutral', format: num },
+      { label: 'Negative', key: 'negative', format: num },
+      { label: 'Avg score', key: 'sentiment_score', format: v => (v === null ? '–' : v.toFixed(2)) }
+    ], byViews)
+  );
+  if (withComments.length) sections.push(stackedChart(withComments, ['positive', 'neutral', 'negative']));
+
+  if (withKeys.length) {
+    sections.push(
+      '<h2>Steam key inventory</h2>',
+      table([
+        { label: 'Game', key: 'title', format: titleCell },
+        { label: 'Total', key: 'keys_total', format: num },
+        { label: 'Claimed', key: 'keys_claimed', format: num },
+        { label: 'Available', key: 'keys_available', format: num },
+        { label: 'Runway', key: 'keys_runway_days', format: runway }
+      ], withKeys)
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="meta">Generated ${esc(portfolio.generated_at.replace('T', ' ').slice(0, 16))} UTC · click a column header to sort</p>
+<div class="cards">${cards}</div>
+${sections.join('\n')}
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { collectPortfolio, renderPortfolio, PORTFOLIO_COLUMNS };
@@ -0,0 +1,114 @@
+/**
+ * Child Process Helpers
+ *
+ * Runs external tools (butler, PICO-8 …) from an argv array, never through a
+ * shell, so paths with quotes, spaces or `$` are passed through untouched.
+ * Output is streamed line by line and the process can be cancelled with an
+ * AbortSignal.
+ *
+ * Usage:
+ *   const { runStreaming, interruptController } = require('./lib/process');
+ *   const controller = interruptController();   // Ctrl+C aborts
+ *   await runStreaming('pico8', ['-x', cart], { signal: controller.signal, onLine: console.log });
+ */
+
+const { spawn } = require('child_process');
+
+class CommandError extends Error {
+  constructor(message, { code = null, signal = null, aborted = false } = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+    this.signal = signal;
+    this.aborted = aborted;
+  }
+}
+
+function lineSplitter(onLine) {
+  let buffer = '';
+  return {
+    write(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(line => onLine(line));
+    },
+    flush() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Spawns `cmd` with `args` and calls `onLine(line, stream)` for every line
+ * of stdout/stderr. Resolves { code, stderr } once the process exits (any
+ * exit code); rejects with CommandError if it can't be started or is
+ * aborted through `signal`.
+ */
+function runStreaming(cmd, args, { cwd, env, signal, onLine = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CommandError(`${cmd} not started: aborted`, { aborted: true }));
+      return;
+    }
+
+    const child = spawn(cmd, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    const stderrTail = [];
+    const out = lineSplitter(line => onLine(line, 'stdout'));
+    const err = lineSplitter(line => {
+      stderrTail.push(line);
+      if (stderrTail.length > 20) stderrTail.shift();
+      onLine(line, 'stderr');
+    });
+
+    const abort = () => child.kill('SIGTERM');
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+
+    child.stdout.setEncoding('utf8').on('data', chunk => out.write(chunk));
+    child.stderr.setEncoding('utf8').on('data', chunk => err.write(chunk));
+
+    child.on('error', e => {
+      if (signal) signal.removeEventListener('abort', abort);
+      reject(new CommandError(e.code === 'ENOENT' ? `${cmd} not found` : `${cmd}: ${e.message}`));
+    });
+
+    // Don't wait for grandchildren still holding the pipes open once cancelled
+    child.on('exit', (code, killedBy) => {
+      if (signal && signal.aborted) reject(new CommandError(`${cmd} aborted`, { code, signal: killedBy, aborted: true }));
+    });
+
+    child.on('close', (code, killedBy) => {
+      if (signal) signal.removeEventListener('abort', abort);
+      out.flush();
+      err.flush();
+      if (signal && signal.aborted) {
+        reject(new CommandError(`${cmd} aborted`, { code, signal: killedBy, aborted: true }));
+        return;
+      }
+      resolve({ code, signal: killedBy, stderr: stderrTail.join('\n') });
+    });
+  });
+}
+
+/**
+ * Returns an AbortController that is aborted on the first Ctrl+C (or
+ * SIGTERM). A second Ctrl+C exits immediately.
+ */
+function interruptController(onInterrupt = () => {}) {
+  const controller = new AbortController();
+  const handler = sig => {
+    if (controller.signal.aborted) process.exit(130);
+    onInterrupt(sig);
+    controller.abort(new Error(`Interrupted (${sig})`));
+  };
+  process.on('SIGINT', handler);
+  process.on('SIGTERM', handler);
+  controller.dispose = () => {
+    process.off('SIGINT', handler);
+    process.off('SIGTERM', handler);
+  };
+  return controller;
+}
+
+module.exports = { runStreaming, interruptController, CommandError };
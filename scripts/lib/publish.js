@@ -0,0 +1,529 @@
+/**
+ * Publish Pipeline
+ *
+ * The push logic behind publish.js, shared with the engine scripts'
+ * --push mode (godot-export.js, renpy-publish.js) so every upload gets the
+ * same version checks, ignore globs, budgets, manifests, retries, history
+ * and dry-run behavior.
+ *
+ * Usage:
+ *   const { publish } = require('./lib/publish');
+ *   await publish(config, { dryRun: true });
+ *
+ * `config` is a validated publish config (see lib/config.js). Options:
+ *   dryRun, resume, force   Same as the publish.js flags
+ *   retries, concurrency    Defaults 3 and 1
+ *   uploader, butler        Uploader backend name and butler binary
+ *   cwd                     Where "auto:*" versions and the commit are read from
+ *
+ * Failures set process.exitCode (1, or 130 when interrupted) rather than
+ * exiting, so callers can finish their own reporting.
+ *
+ * Engine scripts use publishBuilds(target, channels, pushOptions(argv)),
+ * which builds the config from the detected channels and validates it like
+ * an itch-publish.json would be.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { statePath, readJson, writeJson, appendJsonl, readJsonl } = require('./store');
+const { validateConfig, ConfigError } = require('./config');
+const { resolveVersion, compareVersions, currentCommit } = require('./version');
+const { collectCommits, groupCommits, renderDevlog, renderPatchNotes } = require('./changelog');
+const { buildManifest, diffManifests, budgetFor, parseSize, formatBytes } = require('./manifest');
+const { createUploader } = require('./uploaders');
+const { interruptController } = require('./process');
+const { getFlag, getFlags } = require('./args');
+
+const RETRY_DELAY = 2000;
+
+// Flags of the engine scripts' --push mode that take a value
+const PUSH_VALUE_FLAGS = ['--version', '--ignore', '--retries', '--concurrency', '--uploader', '--butler'];
+
+function log(msg, type = 'info') {
+  const icons = { info: 'ℹ️', success: '✅', error: '❌', warn: '⚠️' };
+  console.log(`${icons[type] || 'ℹ️'} ${msg}`);
+}
+
+// Prefixes every line with the channel so parallel pushes stay readable
+function channelLogger(channel) {
+  return (msg, type) => log(`[${channel}] ${msg}`, type);
+}
+
+function progressReporter(clog, stats) {
+  let lastStep = -1;
+  return event => {
+    if (event.type === 'progress') {
+      // Report every 10% rather than every tick
+      const step = Math.floor((event.progress || 0) * 10);
+      if (step === lastStep) return;
+      lastStep = step;
+      const rate = event.bps ? `, ${(event.bps / 1024 / 1024).toFixed(1)} MiB/s` : '';
+      const eta = event.eta ? `, ETA ${Math.round(event.eta)}s` : '';
+      clog(`${step * 10}%${rate}${eta}`);
+    } else if (event.type === 'log' && event.message && event.level !== 'debug') {
+      // butler reports what it sent as "<size> patch" or "added <size> fresh data"
+      const sent = event.message.match(/([\d.]+)\s*([KMG]i?B|B)\s+(?:patch|fresh data)/i);
+      if (sent) stats.uploadedBytes = parseSize(sent[1], sent[2]);
+      clog(event.message, event.level === 'error' ? 'error' : event.level === 'warning' ? 'warn' : 'info');
+    }
+  };
+}
+
+// Resolves early when `signal` aborts so Ctrl+C doesn't wait out a retry delay
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function pushChannel(user, game, channel, sourcePath, opts = {}) {
+  const target = `${user}/${game}:${channel}`;
+  const retries = opts.retries ?? 3;
+  const clog = channelLogger(channel);
+  const stats = { uploadedBytes: null };
+
+  if (!fs.existsSync(sourcePath)) {
+    clog(`Source path not found: ${sourcePath}`, 'warn');
+    return { success: false, attempts: 0, error: `Source path not found: ${sourcePath}`, ...stats };
+  }
+
+  let error = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    clog(`Pushing from ${sourcePath}...${attempt > 1 ? ` (attempt ${attempt}/${retries + 1})` : ''}`);
+
+    try {
+      const result = await opts.uploader.push(sourcePath, target, opts, progressReporter(clog, stats));
+      if (result.uploadedBytes !== undefined) stats.uploadedBytes = result.uploadedBytes;
+      if (result.code === 0) {
+        clog(opts.dryRun ? 'Dry run complete' : 'Uploaded successfully', 'success');
+        return { success: true, attempts: attempt, fileCount: result.fileCount, ...stats };
+      }
+      error = result.error;
+    } catch (e) {
+      error = e.message;
+    }
+
+    if (opts.signal && opts.signal.aborted) {
+      clog('Push cancelled', 'warn');
+      return { success: false, aborted: true, attempts: attempt, error: 'aborted', ...stats };
+    }
+
+    clog(`Push failed: ${error}`, 'error');
+    if (attempt <= retries) {
+      const delay = RETRY_DELAY * 2 ** (attempt - 1);
+      clog(`Retrying in ${delay / 1000}s...`, 'warn');
+      await sleep(delay, opts.signal);
+    }
+  }
+
+  return { success: false, attempts: retries + 1, error, ...stats };
+}
+
+/**
+ * Runs `worker` over `items` with at most `limit` in flight, keeping results
+ * in input order.
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
+
+function printSummary(results) {
+  const rows = results.map(r => [
+    r.channel,
+    r.skipped ? '⏭  SKIPPED' : r.success ? '✅ OK' : r.aborted ? '⛔ ABORTED' : '❌ FAILED',
+    r.skipped ? '-' : String(r.attempts || 0),
+    r.duration === undefined ? '-' : `${(r.duration / 1000).toFixed(1)}s`,
+    formatBytes(r.size),
+    formatBytes(r.uploadedBytes)
+  ]);
+  const header = ['Channel', 'Status', 'Tries', 'Duration', 'Size', 'Uploaded'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = cells => ('   ' + cells.map((c, i) => c.padEnd(widths[i])).join('  ')).trimEnd();
+
+  console.log('');
+  log('=== SUMMARY ===', 'info');
+  console.log(line(header));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  rows.forEach(row => console.log(line(row)));
+}
+
+function stateFile(user, game) {
+  return statePath(`publish-${user}-${game}.json`);
+}
+
+function historyFile(user, game) {
+  return statePath(`publish-history-${user}-${game}.jsonl`);
+}
+
+function readHistory(config) {
+  return readJsonl(historyFile(config.user, config.game));
+}
+
+/**
+ * Compares the version about to be pushed with the last published one.
+ * Returns a reason string when the push looks like a mistake, else null.
+ */
+function checkVersion(version, previous, resume) {
+  if (!version || !previous || !previous.version) return null;
+  const when = `${previous.pushed_at}${previous.commit ? `, commit ${previous.commit.slice(0, 7)}` : ''}`;
+  const cmp = compareVersions(version, previous.version);
+
+  if (cmp < 0) return `Version ${version} is older than the last published ${previous.version} (${when})`;
+  if (cmp === 0 && !resume) {
+    return `Version ${previous.version} was already published (${when}). Bump the version, or use --resume to finish a partial push.`;
+  }
+  return null;
+}
+
+/**
+ * Loads the saved run for --resume, or starts a fresh one. A saved run is
+ * only resumable when it was for the same version.
+ */
+function loadRunState(config, channels, resume) {
+  const file = stateFile(config.user, config.game);
+  const saved = readJson(file);
+
+  if (resume && saved) {
+    if (saved.version !== (config.version || null)) {
+      throw new Error(`Saved run is for version ${saved.version}, config has ${config.version}. Run without --resume.`);
+    }
+    channels.forEach(([channel]) => {
+      if (!saved.channels[channel]) saved.channels[channel] = { status: 'pending', attempts: 0 };
+    });
+    return saved;
+  }
+
+  if (resume) log('No saved run to resume - pushing all channels', 'warn');
+
+  return {
+    target: `${config.user}/${config.game}`,
+    version: config.version || null,
+    started_at: new Date().toISOString(),
+    channels: Object.fromEntries(channels.map(([channel]) => [channel, { status: 'pending', attempts: 0 }]))
+  };
+}
+
+function manifestFile(config, channel) {
+  return statePath('manifests', `${config.user}-${config.game}`, `${channel}.json`);
+}
+
+function signed(bytes) {
+  return `${bytes >= 0 ? '+' : ''}${formatBytes(bytes)}`;
+}
+
+/**
+ * Prints how a build changed since the last pushed manifest, largest
+ * changes first.
+ */
+function printDiff(channel, diff, before, top) {
+  const files = before ? `${diff.files_before} → ${diff.files_after} files` : 'no previous manifest';
+  console.log(`\n📊 ${channel}: ${formatBytes(diff.total_before)} → ${formatBytes(diff.total_after)} (${signed(diff.total_delta)}), ${files}`);
+
+  const section = (title, items, describe) => {
+    if (items.length === 0) return;
+    console.log(`   ${title}:`);
+    items.slice(0, top).forEach(item => console.log(`     ${describe(item)}`));
+    if (items.length > top) console.log(`     … and ${items.length - top} more`);
+  };
+  section('Largest added', diff.added, f => `${signed(f.size).padStart(11)}  ${f.path}`);
+  section('Largest removed', diff.removed, f => `${signed(-f.size).padStart(11)}  ${f.path}`);
+  section('Most grown', diff.grown, f => `${signed(f.delta).padStart(11)}  ${f.path} (${formatBytes(f.before)} → ${formatBytes(f.after)})`);
+  if (diff.changed.length > 0) console.log(`   ${diff.changed.length} file(s) changed content at the same size`);
+}
+
+function overBudget(config, channel, manifest) {
+  const budget = budgetFor(config.budgets, channel);
+  if (budget === null || manifest.total_size <= budget) return null;
+  return `Build is ${formatBytes(manifest.total_size)}, over its ${formatBytes(budget)} budget by ${formatBytes(manifest.total_size - budget)}`;
+}
+
+async function diffBuilds(config, only, top) {
+  const channels = Object.entries(config.channels).filter(([channel]) => !only || channel === only);
+  if (channels.length === 0) throw new Error(`Unknown channel "${only}" (channels: ${Object.keys(config.channels).join(', ')})`);
+
+  for (const [channel, sourcePath] of channels) {
+    const manifest = await buildManifest(sourcePath, { ignore: config.ignore });
+    const before = readJson(manifestFile(config, channel));
+    printDiff(channel, diffManifests(before, manifest), before, top);
+
+    const problem = overBudget(config, channel, manifest);
+    if (problem) {
+      log(`[${channel}] ${problem}`, 'error');
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * Writes devlog-<version>.md and patch-notes-<version>.txt from the commits
+ * since `since` (the last history entry for a different version), read from
+ * the git repository at `cwd`.
+ */
+function writeChangelog(config, since, pushed, cwd) {
+  const opts = config.changelog === true ? {} : config.changelog;
+  const dir = opts.dir || statePath('changelog');
+  const version = config.version || new Date().toISOString().slice(0, 10);
+
+  let commits;
+  try {
+    commits = collectCommits(since && since.commit, { cwd });
+  } catch (e) {
+    log(`Changelog skipped: could not read git history (${e.message.split('\n')[0]})`, 'warn');
+    return;
+  }
+
+  const groups = groupCommits(commits, { includeInternal: opts.includeInternal });
+  const builds = opts.builds === false ? null : pushed.map(r => ({ channel: r.channel, size: r.size, uploaded: r.uploadedBytes }));
+  const meta = { title: opts.title || config.game, version: config.version, previous: since && since.version, builds, formatBytes };
+
+  fs.mkdirSync(dir, { recursive: true });
+  const devlog = path.join(dir, `devlog-${version}.md`);
+  const notes = path.join(dir, `patch-notes-${version}.txt`);
+  fs.writeFileSync(devlog, renderDevlog(groups, meta));
+  fs.writeFileSync(notes, renderPatchNotes(groups, meta));
+
+  const range = since ? ` since ${since.version || since.commit.slice(0, 7)}` : '';
+  log(`Changelog: ${commits.length} commit(s)${range} → ${devlog}, ${notes}`, 'success');
+}
+
+async function checkStatus(uploader, user, game) {
+  log(`Checking status for ${user}/${game}...`);
+  try {
+    await uploader.status(`${user}/${game}`);
+  } catch (e) {
+    log('Status check failed', 'warn');
+  }
+}
+
+/**
+ * Pushes every channel of `config`. Returns the per-channel results, or
+ * null when the version check stopped the publish before anything ran.
+ */
+async function publish(config, opts = {}) {
+  const { dryRun = false, resume = false, force = false, cwd } = opts;
+  const uploader = createUploader(opts.uploader || (dryRun ? 'simulated' : 'butler'), { bin: opts.butler });
+  if (dryRun) log(`DRY RUN MODE - no actual uploads (${uploader.name})`, 'warn');
+
+  log(`Uploader: ${uploader.check()}`, 'success');
+
+  const channels = Object.entries(config.channels);
+
+  const resolved = resolveVersion(config.version, { cwd });
+  if (resolved) {
+    config.version = resolved.version;
+    log(`Version ${resolved.version}${resolved.detail ? ` (from ${resolved.source}: ${resolved.detail})` : ''}`);
+    if (resolved.warning) log(resolved.warning, 'warn');
+  } else {
+    log('No version configured - butler will not set --userversion', 'warn');
+  }
+
+  const history = readHistory(config);
+  const previous = history[history.length - 1] || null;
+  // Changelog range starts at the last push of a different version, so --resume keeps it intact
+  const previousRelease = history.filter(entry => entry.version !== config.version).pop() || null;
+  const versionProblem = checkVersion(config.version, previous, resume);
+  if (versionProblem) {
+    if (!dryRun && !force) {
+      log(versionProblem, 'error');
+      log('Pass --force to push anyway.');
+      process.exitCode = 1;
+      return null;
+    }
+    log(versionProblem, 'warn');
+  } else if (previous) {
+    log(`Last published: ${previous.version || 'unversioned'} on ${previous.pushed_at}`);
+  }
+
+  const controller = interruptController(() => log('Interrupted - cancelling uploads in progress (Ctrl+C again to quit now)', 'warn'));
+  const signal = controller.signal;
+  const retries = opts.retries ?? 3;
+  const state = loadRunState(config, channels, resume);
+  const saveState = () => {
+    // Dry runs never count as a successful push
+    if (!dryRun) writeJson(stateFile(config.user, config.game), { ...state, updated_at: new Date().toISOString() });
+  };
+
+  const concurrency = parseConcurrency(opts.concurrency) ?? 1;
+  if (concurrency > 1) log(`Pushing up to ${concurrency} channels in parallel`);
+
+  const results = await runPool(channels, concurrency, async ([channel, sourcePath]) => {
+    const channelState = state.channels[channel];
+    if (signal.aborted) return { channel, success: false, aborted: true, attempts: 0 };
+    if (channelState.status === 'success') {
+      channelLogger(channel)(`Skipping (already pushed at ${channelState.finished_at})`);
+      return { channel, success: true, skipped: true };
+    }
+
+    const started = Date.now();
+    const clog = channelLogger(channel);
+    const manifest = fs.existsSync(sourcePath) ? await buildManifest(sourcePath, { ignore: config.ignore }) : null;
+    const budgetError = manifest && overBudget(config, channel, manifest);
+
+    let result;
+    if (budgetError) {
+      clog(budgetError, 'error');
+      result = { success: false, attempts: 0, error: budgetError, uploadedBytes: null };
+    } else {
+      if (manifest) {
+        const before = readJson(manifestFile(config, channel));
+        if (before) printDiff(channel, diffManifests(before, manifest), before, 3);
+      }
+      result = await pushChannel(config.user, config.game, channel, sourcePath, {
+        version: config.version,
+        ignore: config.ignore,
+        dryRun,
+        retries,
+        uploader,
+        signal
+      });
+    }
+
+    if (result.success && manifest && !dryRun) {
+      writeJson(manifestFile(config, channel), { channel, version: config.version || null, ...manifest });
+    }
+
+    state.channels[channel] = {
+      status: result.success ? 'success' : 'failed',
+      attempts: channelState.attempts + result.attempts,
+      error: result.error || null,
+      finished_at: new Date().toISOString()
+    };
+    saveState();
+    return { channel, ...result, size: manifest ? manifest.total_size : null, duration: Date.now() - started };
+  });
+
+  printSummary(results);
+
+  if (uploader.name === 'simulated') {
+    const simulated = results.filter(r => r.success && !r.skipped);
+    const files = simulated.reduce((sum, r) => sum + (r.fileCount || 0), 0);
+    const bytes = simulated.reduce((sum, r) => sum + (r.uploadedBytes || 0), 0);
+    log(`Would upload ${files} file(s), ${formatBytes(bytes)} across ${simulated.length} channel(s)`);
+  }
+
+  const pushed = results.filter(r => r.success && !r.skipped);
+  if (!dryRun && pushed.length > 0) {
+    appendJsonl(historyFile(config.user, config.game), {
+      version: config.version || null,
+      commit: currentCommit(cwd),
+      pushed_at: new Date().toISOString(),
+      profile: config.profile || null,
+      channels: pushed.map(r => ({ channel: r.channel, uploaded_bytes: r.uploadedBytes }))
+    });
+  }
+
+  controller.dispose();
+  if (signal.aborted) {
+    log('Publish interrupted. Re-run with --resume to push the remaining channels.', 'warn');
+    process.exitCode = 130;
+    return results;
+  }
+
+  if (config.changelog && pushed.length > 0) writeChangelog(config, previousRelease, pushed, cwd);
+
+  const failed = results.filter(r => !r.success);
+  if (failed.length > 0) {
+    log(`${failed.length} channel(s) failed. Re-run with --resume to push only those.`, 'warn');
+    process.exitCode = 1;
+  }
+
+  await checkStatus(uploader, config.user, config.game);
+  return results;
+}
+
+// Counts must be whole numbers; Number('x') would quietly mean no retries or one channel at a time
+function parseCount(flag, value, min) {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) < min) {
+    throw new Error(`${flag} must be ${min === 0 ? 'a non-negative' : 'a positive'} integer, got "${value}"`);
+  }
+  return Number(text);
+}
+
+const parseRetries = value => parseCount('--retries', value, 0);
+const parseConcurrency = value => parseCount('--concurrency', value, 1);
+
+/**
+ * Reads the publish.js-style flags an engine script passes through for
+ * --push: --version, --ignore (repeatable), --dry-run, --resume, --force,
+ * --retries, --concurrency, --uploader, --butler. Throws on a bad --retries
+ * or --concurrency.
+ */
+function pushOptions(args) {
+  const flag = name => getFlag(args, name);
+  return {
+    version: flag('--version'),
+    ignore: getFlags(args, '--ignore'),
+    dryRun: args.includes('--dry-run'),
+    resume: args.includes('--resume'),
+    force: args.includes('--force'),
+    retries: parseRetries(flag('--retries')),
+    concurrency: parseConcurrency(flag('--concurrency')),
+    uploader: flag('--uploader'),
+    butler: flag('--butler')
+  };
+}
+
+/**
+ * Publishes detected builds without a config file. `target` is
+ * "user/game", `channels` maps channel → path. Without --version, the
+ * version is taken from "auto" (project files, then git) when it resolves.
+ */
+async function publishBuilds(target, channels, opts = {}) {
+  const [user, game, ...rest] = String(target).split('/');
+  let version = opts.version;
+  if (!version) {
+    try {
+      if (resolveVersion('auto', { cwd: opts.cwd })) version = 'auto';
+    } catch {
+      // No version anywhere; publish() warns that none is set
+    }
+  }
+
+  let loaded;
+  try {
+    loaded = validateConfig({
+      user,
+      game: rest.length ? [game, ...rest].join('/') : game,
+      channels,
+      ...(version ? { version } : {}),
+      ...(opts.ignore && opts.ignore.length ? { ignore: opts.ignore } : {})
+    }, { file: opts.source || '--push' });
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    log(`Can't push: ${e.errors.length} problem(s) with the generated config:`, 'error');
+    e.errors.forEach(err => console.log(`   - ${err}`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  loaded.warnings.forEach(w => log(w, 'warn'));
+  console.log('');
+  log(`Publishing ${Object.keys(channels).length} channel(s) to ${user}/${loaded.config.game}`);
+  return publish(loaded.config, opts);
+}
+
+module.exports = { publish, publishBuilds, pushOptions, parseRetries, parseConcurrency, diffBuilds, log, PUSH_VALUE_FLAGS };
@@ -0,0 +1,242 @@
+/**
+ * Ren'Py Build Configuration
+ *
+ * Reads the build settings from a project's options.rpy and checks each
+ * distribution against them:
+ *
+ *   define build.name = "MyGame"
+ *   define build.directory_name = "MyGame-1.0"     # default: name-version
+ *   define build.executable_name = "MyGame"        # default: build.name
+ *   define build.itch_project = "me/my-game"
+ *   init python:
+ *       build.archive("images", "all")
+ *       build.classify("game/**.png", "images")    # → game/images.rpa
+ *       build.classify("**.psd", None)             # excluded
+ *
+ * Patterns follow Ren'Py's rules: matched against the path from the base
+ * directory, case-insensitively; `*` stops at "/", `**` doesn't.
+ *
+ * Distributions are checked as file lists ({ path, size } with "/"
+ * separators), so folders and archives are validated the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { commonRoot } = require('./zip');
+
+// Ren'Py package name in a distribution's directory name → platform
+const PACKAGES = { pc: 'pc', win: 'pc', windows: 'pc', mac: 'mac', linux: 'linux', web: 'web', market: 'market' };
+
+const LAUNCHERS = {
+  pc: exe => [`${exe}.exe`],
+  linux: exe => [`${exe}.sh`],
+  mac: exe => [`${exe}.app`],
+  market: exe => [`${exe}.exe`, `${exe}.sh`, `${exe}.app`]
+};
+
+// Files that should never ship: player saves and development leftovers
+const SAVE_RE = /(?:^|\/)game\/saves\/|(?:^|\/)persistent$|\.save$/i;
+const LEFTOVER_RE = /(?:^|\/)(?:traceback|errors|log)\.txt$|(?:^|\/)game\/cache\//i;
+
+// The engine Ren'Py adds to every distribution; build.classify() rules don't apply to it
+const ENGINE_RE = /^(?:renpy|lib)\//;
+
+function stripArchiveExt(name) {
+  return name.replace(/\.(?:zip|tar\.bz2|tar\.gz|tgz)$/i, '');
+}
+
+function stringLiteral(raw) {
+  const m = raw.trim().match(/^[ru]?(['"])(.*)\1$/is);
+  return m ? m[2] : null;
+}
+
+/**
+ * Parses the build settings of options.rpy (or any .rpy file). Only plain
+ * string values are read; computed ones (build.name + "-x") are left unset.
+ */
+function parseBuildOptions(text) {
+  const options = { name: null, version: null, directoryName: null, executableName: null, itchProject: null, archives: [], classify: [] };
+  const fields = {
+    'build.name': 'name',
+    'config.version': 'version',
+    'build.directory_name': 'directoryName',
+    'build.executable_name': 'executableName',
+    'build.itch_project': 'itchProject'
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line.replace(/^\s*#.*$/, '');
+    const assign = code.match(/^\s*(?:define\s+)?(build\.\w+|config\.version)\s*=\s*(.+?)\s*(?:#.*)?$/);
+    if (assign && fields[assign[1]]) {
+      const value = stringLiteral(assign[2]);
+      if (value !== null) options[fields[assign[1]]] = value;
+    }
+
+    const archive = code.match(/build\.archive\(\s*(['"])(.+?)\1/);
+    if (archive) options.archives.push(archive[2]);
+
+    const classify = code.match(/build\.classify\(\s*(['"])(.+?)\1\s*,\s*(None|(['"])(.*?)\4)\s*\)/);
+    if (classify) options.classify.push({ pattern: classify[2], target: classify[3] === 'None' ? null : classify[5] });
+  });
+
+  if (!options.directoryName && options.name) {
+    options.directoryName = options.version ? `${options.name}-${options.version}` : options.name;
+  }
+  if (!options.executableName) options.executableName = options.name;
+
+  // Classifying into "archive" creates game/archive.rpa without a build.archive() call
+  const targets = options.classify.map(c => c.target).filter(Boolean);
+  options.rpaNames = [...new Set(targets.filter(t => t === 'archive' || options.archives.includes(t)))];
+  return options;
+}
+
+// Finds game/options.rpy in the first directory that has one
+function findOptions(dirs) {
+  for (const dir of dirs.filter(Boolean)) {
+    const file = path.join(dir, 'game', 'options.rpy');
+    if (fs.existsSync(file)) return { file, projectDir: dir, options: parseBuildOptions(fs.readFileSync(file, 'utf8')) };
+  }
+  return null;
+}
+
+function patternToRegExp(pattern) {
+  let re = '';
+  const p = pattern.replace(/^\//, '');
+  for (let i = 0; i < p.length; i++) {
+    const ch = p[i];
+    if (ch === '*' && p[i + 1] === '*') {
+      re += '.*';
+      i++;
+    } else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, 'i');
+}
+
+/**
+ * Works out which Ren'Py package a distribution is from its name
+ * (MyGame-1.0-pc, mygame-1.0-mac.zip) and, failing that, its launchers.
+ */
+function detectPackage(name, files) {
+  const suffix = stripArchiveExt(name).toLowerCase().match(/-([a-z]+)$/);
+  if (suffix && PACKAGES[suffix[1]]) return PACKAGES[suffix[1]];
+
+  const top = new Set(files.map(f => f.path.split('/')[0]));
+  const has = re => [...top].some(t => re.test(t));
+  if (top.has('index.html')) return 'web';
+  if (has(/\.app$/i) && !has(/\.exe$/i)) return 'mac';
+  if (has(/\.exe$/i)) return 'pc';
+  if (has(/\.sh$/i) && top.has('lib')) return 'linux';
+  return null;
+}
+
+/**
+ * The distribution's base directory: where game/ is. Zipped builds nest
+ * everything in one top folder, and a mac .app keeps the game in
+ * Contents/Resources/autorun.
+ */
+function baseDir(files) {
+  const game = files
+    .map(f => f.path.match(/^(.*?\/)?game\//))
+    .filter(Boolean)
+    .map(m => m[1] || '')
+    .sort((a, b) => a.length - b.length)[0];
+  return game === undefined ? null : game;
+}
+
+/**
+ * Checks one distribution. `files` is [{ path, size }] relative to the
+ * distribution root, `name` its folder or archive name, `options` the
+ * parsed options.rpy (or null). Returns { platform, errors, warnings, info };
+ * info.root is the wrapper folder zipped distributions keep everything in.
+ */
+function validateDistribution(name, files, options) {
+  const errors = [];
+  const warnings = [];
+
+  // Zipped distributions wrap everything in one top-level folder
+  const wrapper = commonRoot(files);
+  const root = ['game/', 'lib/'].includes(wrapper) ? '' : wrapper;
+  const rel = files.filter(f => f.path.startsWith(root)).map(f => ({ ...f, path: f.path.slice(root.length) }));
+
+  const platform = detectPackage(name, rel);
+  const info = { platform, root, base: null, launchers: [], archives: [] };
+
+  if (platform === 'web') return { platform, errors, warnings, info };
+
+  const base = baseDir(rel);
+  info.base = base;
+  if (base === null) {
+    errors.push('No game/ directory - this is not a complete Ren\'Py distribution');
+    return { platform, errors, warnings, info };
+  }
+  const inBase = rel.filter(f => f.path.startsWith(base)).map(f => ({ ...f, path: f.path.slice(base.length) }));
+  const project = inBase.filter(f => !ENGINE_RE.test(f.path));
+
+  if (options && options.directoryName) {
+    const expected = `${options.directoryName}-${platform}`;
+    const actual = stripArchiveExt(name);
+    if (platform && actual !== expected && root.slice(0, -1) !== expected) {
+      warnings.push(`Named ${actual}, but options.rpy builds ${expected} - is this build from an older version?`);
+    }
+  }
+
+  // Launchers
+  const exe = options && options.executableName;
+  if (platform && LAUNCHERS[platform]) {
+    const topLevel = new Set(rel.map(f => f.path.split('/')[0]));
+    if (exe) {
+      LAUNCHERS[platform](exe).forEach(launcher => {
+        if (topLevel.has(launcher)) info.launchers.push(launcher);
+        else errors.push(`Launcher ${launcher} is missing (build.executable_name is "${exe}")`);
+      });
+    } else {
+      info.launchers = [...topLevel].filter(f => /\.(?:exe|sh|app)$/i.test(f));
+      if (info.launchers.length === 0) errors.push('No launcher (.exe, .sh or .app) found');
+    }
+  }
+  if (platform !== 'mac' && !rel.some(f => f.path.startsWith('lib/'))) {
+    errors.push('Ren\'Py runtime (lib/) is missing');
+  }
+
+  // Files already reported as excluded aren't reported again as leaks
+  const reported = new Set();
+
+  // Archives
+  info.archives = inBase.filter(f => /^game\/[^/]+\.rpa$/i.test(f.path)).map(f => f.path.slice(5));
+  if (options) {
+    options.rpaNames.forEach(archive => {
+      if (!info.archives.includes(`${archive}.rpa`)) errors.push(`game/${archive}.rpa is missing - options.rpy archives files into it`);
+    });
+
+    const archived = options.classify.filter(c => c.target && options.rpaNames.includes(c.target)).map(c => patternToRegExp(c.pattern));
+    const excluded = options.classify.filter(c => c.target === null).map(c => ({ pattern: c.pattern, re: patternToRegExp(c.pattern) }));
+    const loose = project.filter(f => archived.some(re => re.test(f.path)));
+    if (loose.length > 0) {
+      warnings.push(`${loose.length} file(s) that options.rpy archives are loose in the build (e.g. ${loose[0].path})`);
+    }
+    excluded.forEach(({ pattern, re }) => {
+      const leaked = project.filter(f => re.test(f.path));
+      leaked.forEach(f => reported.add(f.path));
+      if (leaked.length > 0) errors.push(`${leaked.length} file(s) excluded by build.classify("${pattern}", None) are in the build (e.g. ${leaked[0].path})`);
+    });
+  } else if (info.archives.length === 0) {
+    warnings.push('No .rpa archives in game/ - assets ship as loose files');
+  }
+
+  // Leaks
+  const sources = project.filter(f => /^game\/.*\.rpy$/i.test(f.path) && !reported.has(f.path));
+  if (sources.length > 0) {
+    warnings.push(`${sources.length} .rpy source file(s) shipped (e.g. ${sources[0].path}) - add build.classify("**.rpy", None) to leave them out`);
+  }
+  const saves = inBase.filter(f => SAVE_RE.test(f.path));
+  if (saves.length > 0) errors.push(`${saves.length} save file(s) leaked into the build (e.g. ${saves[0].path})`);
+  const leftovers = inBase.filter(f => LEFTOVER_RE.test(f.path));
+  if (leftovers.length > 0) warnings.push(`Development leftovers in the build: ${leftovers.slice(0, 3).map(f => f.path).join(', ')}`);
+
+  return { platform, errors, warnings, info };
+}
+
+module.exports = { parseBuildOptions, findOptions, validateDistribution, detectPackage, patternToRegExp };
@@ -0,0 +1,187 @@
+/**
+ * Lexicon-Based Sentiment Analyzer
+ *
+ * Scores short player comments with an AFINN-style weighted lexicon
+ * (-5 … +5 per term), plus game-specific vocabulary and emoji.
+ *
+ * - Tokenizes on word boundaries, so "debug" never matches "bug"
+ * - Multi-word terms ("fps drop", "soft lock") are matched first
+ * - Negators ("not", "never", "don't" …) flip and dampen the next few terms
+ * - Intensifiers ("very", "super") and diminishers ("kinda") scale the next term
+ *
+ * Usage:
+ *   const { createAnalyzer } = require('./lib/sentiment');
+ *   const analyze = createAnalyzer({ lexicon: { janky: -2 } });
+ *   analyze('not fun at all');  // { label: 'negative', score: -0.612, confidence: 0.39, ... }
+ */
+
+const fs = require('fs');
+
+const LEXICON = {
+  // General (AFINN subset)
+  love: 3, loved: 3, loving: 2, lovely: 3, like: 2, liked: 2, enjoy: 2, enjoyed: 2, enjoyable: 2,
+  great: 3, awesome: 4, amazing: 4, good: 3, nice: 3, cool: 1, fun: 4, funny: 2,
+  perfect: 3, excellent: 3, fantastic: 4, wonderful: 4, brilliant: 4, beautiful: 3, gorgeous: 3,
+  best: 3, better: 2, incredible: 4, outstanding: 5, superb: 5, fabulous: 4, impressive: 3,
+  cute: 2, charming: 3, satisfying: 2, relaxing: 2, creative: 2, clever: 2, interesting: 2,
+  recommend: 2, recommended: 2, thanks: 2, thank: 2, glad: 3, happy: 3, wow: 4, yay: 2,
+  helped: 2, helpful: 2, solid: 2, smooth: 2, refreshing: 2, unique: 2, original: 2,
+  bad: -3, worse: -3, worst: -3, hate: -3, hated: -3, terrible: -3, awful: -3, horrible: -3,
+  boring: -3, bored: -2, annoying: -2, annoyed: -2, frustrating: -2, frustrated: -2,
+  disappointing: -2, disappointed: -2, confusing: -2, confused: -2, ugly: -3, stupid: -2,
+  broken: -1, problem: -2, problems: -2, issue: -1, issues: -1, error: -2, errors: -2,
+  fail: -2, failed: -2, fails: -2, poor: -2, waste: -1, wasted: -2, useless: -2, sad: -2,
+  slow: -2, unfair: -2, tedious: -2, mess: -2, meh: -1, sucks: -3, trash: -3, garbage: -3,
+  refund: -2, scam: -4, difficult: -1, hard: -1, impossible: -2,
+
+  // Game-specific vocabulary
+  bug: -2, bugs: -2, buggy: -3, glitch: -2, glitches: -2, glitchy: -2,
+  crash: -3, crashes: -3, crashed: -3, crashing: -3, freeze: -3, freezes: -3, froze: -3, frozen: -2,
+  softlock: -3, softlocked: -3, hardlock: -3, 'soft lock': -3, 'soft locked': -3,
+  lag: -2, laggy: -3, lagging: -2, stutter: -2, stutters: -2, stuttering: -2,
+  'fps drop': -2, 'fps drops': -2, 'frame drop': -2, 'frame drops': -2, 'low fps': -2,
+  'black screen': -3, 'white screen': -3, 'wont load': -3, "won't load": -3,
+  unplayable: -4, clunky: -2, janky: -2, floaty: -1, unresponsive: -2, grindy: -2, 'pay to win': -3,
+  polished: 3, addictive: 2, addicting: 2, juicy: 2, replayable: 2, 'replay value': 2,
+  masterpiece: 5, gem: 3, 'hidden gem': 4, underrated: 2, immersive: 3, atmospheric: 2,
+  responsive: 2, 'well made': 3, 'well done': 3, 'good job': 3, 'great job': 3, 'must play': 4,
+
+  // Emoji
+  '😍': 4, '🥰': 4, '❤': 3, '💖': 3, '😀': 2, '😃': 2, '😄': 2, '😊': 2, '🙂': 1,
+  '😂': 2, '🤣': 2, '👍': 2, '👏': 2, '🔥': 2, '⭐': 2, '🎉': 2, '💯': 3,
+  '😐': 0, '🙁': -2, '☹': -2, '😞': -2, '😢': -2, '😭': -2, '😠': -3, '😡': -4,
+  '👎': -2, '🤮': -3, '💩': -3, '🐛': -2, '😴': -2
+};
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nothing', 'nor', 'neither', 'without', 'hardly', 'barely', 'cannot',
+  "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "isn't", 'isnt', "wasn't", 'wasnt',
+  "aren't", 'arent', "weren't", "can't", 'cant', "couldn't", "won't", "wouldn't", "shouldn't", "ain't"
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.3, so: 1.3, super: 1.5, extremely: 1.8, incredibly: 1.8, totally: 1.4,
+  absolutely: 1.6, completely: 1.5, too: 1.3, insanely: 1.8, highly: 1.5, such: 1.2,
+  slightly: 0.5, somewhat: 0.6, kinda: 0.6, bit: 0.6, little: 0.7, fairly: 0.8, pretty: 1.2
+};
+
+const NEGATION_WINDOW = 3;
+const NEGATION_SCALE = -0.75;
+const NORMALIZE_ALPHA = 15;
+const NEUTRAL_THRESHOLD = 0.05;
+const BOUNDARY = /^[.!?;,:]$/;
+
+const TOKEN_RE = /\p{Extended_Pictographic}️?|[\p{L}\p{N}]+(?:['’][\p{L}]+)*|[.!?;,:]/gu;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(TOKEN_RE) || []).map(t => t.replace(/’/g, "'").replace(/️$/, ''));
+}
+
+// Terms are tokenized like comments, so "Softlock" and "soft-lock" match the text they describe
+function buildLexicon(extra = {}) {
+  const words = {};
+  const phrases = new Map(); // first token -> [[tokens], weight], longest first
+
+  Object.entries({ ...LEXICON, ...extra }).forEach(([term, weight]) => {
+    const parts = tokenize(term);
+    if (parts.length === 0) return;
+    if (parts.length === 1) {
+      words[parts[0]] = weight;
+      return;
+    }
+    const list = phrases.get(parts[0]) || [];
+    const existing = list.find(([p]) => p.join(' ') === parts.join(' '));
+    if (existing) existing[1] = weight;
+    else list.push([parts, weight]);
+    phrases.set(parts[0], list);
+  });
+  phrases.forEach(list => list.sort((a, b) => b[0].length - a[0].length));
+
+  return { words, phrases };
+}
+
+function matchTerm(tokens, i, lexicon) {
+  for (const [parts, weight] of lexicon.phrases.get(tokens[i]) || []) {
+    if (parts.every((p, j) => tokens[i + j] === p)) {
+      return { term: parts.join(' '), weight, length: parts.length };
+    }
+  }
+  const weight = lexicon.words[tokens[i]];
+  return weight === undefined ? null : { term: tokens[i], weight, length: 1 };
+}
+
+function loadLexicon(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.entries(data).forEach(([term, weight]) => {
+    if (typeof weight !== 'number' || weight < -5 || weight > 5) {
+      throw new Error(`${file}: weight for "${term}" must be a number between -5 and 5`);
+    }
+  });
+  return data;
+}
+
+function createAnalyzer(opts = {}) {
+  const lexicon = buildLexicon(opts.lexicon);
+
+  return function analyze(text) {
+    const tokens = tokenize(text || '');
+    const matches = [];
+    let negateFor = 0;
+    let intensity = 1;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (BOUNDARY.test(token)) {
+        negateFor = 0;
+        intensity = 1;
+        continue;
+      }
+
+      const match = matchTerm(tokens, i, lexicon);
+      if (match) {
+        let weight = match.weight * intensity;
+        if (negateFor > 0) weight *= NEGATION_SCALE;
+        if (weight !== 0) matches.push({ term: match.term, weight: Number(weight.toFixed(2)) });
+        intensity = 1;
+        negateFor = 0;
+        i += match.length - 1;
+        continue;
+      }
+
+      if (NEGATORS.has(token)) {
+        negateFor = NEGATION_WINDOW;
+        continue;
+      }
+      if (INTENSIFIERS[token]) {
+        intensity *= INTENSIFIERS[token];
+        continue;
+      }
+      if (negateFor > 0) negateFor--;
+    }
+
+    const raw = matches.reduce((sum, m) => sum + m.weight, 0);
+    const score = raw / Math.sqrt(raw * raw + NORMALIZE_ALPHA);
+    const positive = matches.filter(m => m.weight > 0).reduce((s, m) => s + m.weight, 0);
+    const negative = -matches.filter(m => m.weight < 0).reduce((s, m) => s + m.weight, 0);
+
+    // Confidence grows with evidence and drops when the signals disagree
+    const evidence = 1 - Math.exp(-matches.length / 2);
+    const agreement = positive + negative ? Math.abs(positive - negative) / (positive + negative) : 0;
+    const confidence = evidence * (0.5 + agreement / 2);
+
+    let label = 'neutral';
+    if (score >= NEUTRAL_THRESHOLD) label = 'positive';
+    else if (score <= -NEUTRAL_THRESHOLD) label = 'negative';
+
+    return {
+      label,
+      score: Number(score.toFixed(3)),
+      raw: Number(raw.toFixed(2)),
+      confidence: Number(confidence.toFixed(2)),
+      matches
+    };
+  };
+}
+
+module.exports = { createAnalyzer, loadLexicon, tokenize, LEXICON, NEGATORS, NEGATION_WINDOW, BOUNDARY };
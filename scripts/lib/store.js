@@ -0,0 +1,56 @@
+/**
+ * Local State Store
+ *
+ * Small helpers for the files the scripts keep between runs (snapshots,
+ * cursors, publish state). Everything lives under one state directory.
+ *
+ * Environment:
+ *   ITCH_STATE_DIR     Where state is kept (default: ./.itch)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function stateDir() {
+  return path.resolve(process.env.ITCH_STATE_DIR || '.itch');
+}
+
+function statePath(...parts) {
+  return path.join(stateDir(), ...parts);
+}
+
+function readJson(file, fallback = null) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write to a temp file first so an interrupted run never leaves half a file
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+function appendJsonl(file, records) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = [].concat(records).map(r => JSON.stringify(r) + '\n').join('');
+  fs.appendFileSync(file, lines);
+}
+
+// Skips lines that don't parse (a run killed mid-append leaves half a line) with a warning
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  const records = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      console.warn(`⚠️  ${file}:${i + 1}: skipping invalid JSON line`);
+    }
+  });
+  return records;
+}
+
+module.exports = { stateDir, statePath, readJson, writeJson, appendJsonl, readJsonl };
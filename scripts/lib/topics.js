@@ -0,0 +1,195 @@
+/**
+ * Comment Topics & Bug Triage
+ *
+ * Finds recurring phrases across player comments, groups comments into
+ * themes (performance, difficulty, controls …), and pulls out the ones that
+ * read like bug reports along with any platform/browser/version mentioned.
+ *
+ * Usage:
+ *   const { analyzeTopics } = require('./lib/topics');
+ *   const { ngrams, themes, bugs } = analyzeTopics(comments);
+ */
+
+const { tokenize, NEGATORS, NEGATION_WINDOW, BOUNDARY } = require('./sentiment');
+
+const STOPWORDS = new Set(`
+a an the and or but if then so than that this these those there here it its it's i i'm i've me my
+we our you your he she they them their is are was were be been being am do does did doing have has
+had having to of in on at by for with from as into about up down out over after before again just
+also very really too can could would should will wont won't not no yes all any some more most much
+many one two get got gets what when where which who how why game games play played playing
+`.trim().split(/\s+/));
+
+const THEMES = {
+  performance: /\b(lag\w*|fps|frame ?rates?|frame ?drops?|stutter\w*|slow\w*|performance|optimi[sz]\w*|load(?:ing)? times?|freez\w*|low[- ]end)\b/i,
+  stability: /\b(bugs?|buggy|crash\w*|glitch\w*|soft ?lock\w*|stuck|broken|errors?|black screen|won'?t (?:load|start|launch|open))\b/i,
+  difficulty: /\b(hard|harder|hardest|difficult\w*|easy|easier|too (?:hard|easy)|unfair|punishing|grind\w*|balanc\w*|checkpoints?)\b/i,
+  controls: /\b(controls?|controller|gamepad|keyboard|mouse|input|jump\w*|floaty|responsive|unresponsive|clunky|keybind\w*|rebind\w*|wasd)\b/i,
+  visuals: /\b(art|graphics?|visuals?|sprites?|pixel|animation\w*|look[s]?|beautiful|gorgeous|ugly|resolution|shaders?)\b/i,
+  audio: /\b(music|sound\w*|sfx|audio|soundtrack|volume|ost)\b/i,
+  story: /\b(story|writing|characters?|dialogue|plot|ending\w*|narrative|lore|routes?)\b/i,
+  ui: /\b(ui|menu\w*|hud|font\w*|text size|tutorial|settings|options|fullscreen|subtitles?)\b/i,
+  content: /\b(short|longer|length|more levels|content|update|sequel|dlc|replay\w*)\b/i
+};
+
+const BUG_PATTERNS = [
+  { severity: 'high', re: /\b(crash\w*|soft ?lock\w*|hard ?lock\w*|freez\w*|froze|black screen|white screen|won'?t (?:load|start|launch|open)|doesn'?t (?:load|start|launch|open)|can'?t (?:progress|continue|start|load)|lost (?:my )?(?:save|progress)|save (?:file )?(?:corrupt\w*|deleted|lost))\b/i },
+  { severity: 'medium', re: /\b(bugs?|buggy|stuck|broken|errors?|exception|not working|doesn'?t work|stopped working|fell through|clip(?:ped|ping)? through|infinite loop)\b/i },
+  { severity: 'low', re: /\b(glitch\w*|typos?|misspell\w*|overlap\w*|cut off|flicker\w*)\b/i }
+];
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const PLATFORM_PATTERNS = [
+  ['Windows', /\b(?:windows\s?(?:xp|vista|7|8(?:\.1)?|10|11)?|win\s?(?:7|8|10|11))\b/i],
+  ['macOS', /\b(?:mac\s?os(?:\s?x)?|osx|macbook|mac)\b(?:\s?(?:\d+(?:\.\d+)*|sonoma|ventura|monterey|sequoia))?/i],
+  ['Linux', /\b(?:linux|ubuntu|fedora|arch linux|debian|linux mint|pop!?_?os)\b/i],
+  ['Steam Deck', /\b(?:steam ?deck|steamos)\b/i],
+  ['Android', /\bandroid\s?(?:\d+)?\b/i],
+  ['iOS', /\b(?:ios\s?(?:\d+(?:\.\d+)*)?|iphone|ipad)\b/i],
+  ['ChromeOS', /\b(?:chrome ?os|chromebook)\b/i]
+];
+
+const BROWSER_PATTERNS = [
+  ['Chrome', /\b(?:google )?chrome(?!\s?os|book)\s?(?:v?\d+)?/i],
+  ['Firefox', /\bfire ?fox\s?(?:v?\d+)?/i],
+  ['Safari', /\bsafari\s?(?:v?\d+(?:\.\d+)?)?/i],
+  ['Edge', /\b(?:(?:ms |microsoft )edge|edge(?= browser)|edge\s?v?\d+)(?:\s?v?\d+)?/i],
+  ['Opera', /\bopera(?: gx)?\s?(?:v?\d+)?/i],
+  ['Brave', /\bbrave\b/i]
+];
+
+const VERSION_RE = /\b(?:v|ver\.?\s?|version\s|build\s)(\d+(?:\.\d+){0,3}[a-z]?)\b/gi;
+const LOCATION_RE = /\b((?:level|stage|world|chapter|area|room|act)\s?\d+(?:-\d+)?)\b/gi;
+
+function ngramsFor(tokens, n) {
+  const out = [];
+  for (let i = 0; i + n <= tokens.length; i++) {
+    const gram = tokens.slice(i, i + n);
+    if (gram.some(t => /^[.!?;,:]$/.test(t))) continue;
+    if (STOPWORDS.has(gram[0]) || STOPWORDS.has(gram[n - 1])) continue;
+    if (gram.every(t => /^\d+$/.test(t))) continue;
+    out.push(gram.join(' '));
+  }
+  return out;
+}
+
+/**
+ * Counts in how many comments each 1–3 word phrase appears. A phrase is
+ * dropped when a longer phrase containing it appears just as often.
+ */
+function extractNgrams(comments, { minCount = 2, limit = 20 } = {}) {
+  const counts = new Map();
+
+  comments.forEach(c => {
+    const tokens = tokenize(c.body || '').filter(t => t.length > 1 || /^[.!?;,:]$/.test(t));
+    const seen = new Set([1, 2, 3].flatMap(n => ngramsFor(tokens, n)));
+    seen.forEach(term => {
+      if (!counts.has(term)) counts.set(term, { term, n: term.split(' ').length, count: 0, comment_ids: [] });
+      const entry = counts.get(term);
+      entry.count++;
+      entry.comment_ids.push(c.id);
+    });
+  });
+
+  const frequent = [...counts.values()].filter(e => e.count >= minCount);
+  return frequent
+    .filter(e => !frequent.some(o => o.n > e.n && o.count === e.count && ` ${o.term} `.includes(` ${e.term} `)))
+    .sort((a, b) => b.count - a.count || b.n - a.n || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+function classifyThemes(text) {
+  return Object.entries(THEMES).filter(([, re]) => re.test(text)).map(([theme]) => theme);
+}
+
+function clusterThemes(comments) {
+  const clusters = Object.keys(THEMES).map(theme => ({ theme, count: 0, share: 0, comment_ids: [] }));
+  const byName = Object.fromEntries(clusters.map(c => [c.theme, c]));
+
+  comments.forEach(c => {
+    classifyThemes(c.body || '').forEach(theme => {
+      byName[theme].count++;
+      byName[theme].comment_ids.push(c.id);
+    });
+  });
+
+  clusters.forEach(c => {
+    c.share = comments.length ? Number((c.count / comments.length).toFixed(3)) : 0;
+  });
+  return clusters.filter(c => c.count > 0).sort((a, b) => b.count - a.count);
+}
+
+function matchAll(text, re) {
+  return [...text.matchAll(re)].map(m => m[1]);
+}
+
+function detectEnvironment(text, patterns) {
+  const found = [];
+  patterns.forEach(([name, re]) => {
+    const m = text.match(re);
+    if (!m) return;
+    const version = m[0].trim().match(/(\d+(?:\.\d+)*)$/);
+    found.push(version ? `${name} ${version[1]}` : name);
+  });
+  return found;
+}
+
+// Same window as sentiment scoring: "no bugs", "never crashed once" aren't reports
+function negated(text, index) {
+  const before = tokenize(text.slice(0, index)).slice(-NEGATION_WINDOW);
+  for (let i = before.length - 1; i >= 0; i--) {
+    if (BOUNDARY.test(before[i])) return false;
+    if (NEGATORS.has(before[i])) return true;
+  }
+  return false;
+}
+
+// Whether `text` matches `re` anywhere outside a negation
+function reported(text, re) {
+  return [...text.matchAll(new RegExp(re, 'gi'))].some(m => !negated(text, m.index));
+}
+
+// The sentence that triggered the match makes a better issue title than the opener
+function summarize(text, re, max = 80) {
+  const sentences = text.trim().split(/(?<=[.!?])\s+|(?:^|\s)(?=but\s)/i);
+  const sentence = (sentences.find(s => reported(s, re)) || sentences[0]).replace(/\s+/g, ' ').trim();
+  return sentence.length > max ? sentence.substring(0, max - 1) + '…' : sentence;
+}
+
+function detectBug(comment) {
+  const text = comment.body || '';
+  const hit = BUG_PATTERNS.find(p => reported(text, p.re));
+  if (!hit) return null;
+
+  return {
+    id: comment.id,
+    user: comment.user?.username || 'Anonymous',
+    created_at: comment.created_at,
+    severity: hit.severity,
+    summary: summarize(text, hit.re),
+    platforms: detectEnvironment(text, PLATFORM_PATTERNS),
+    browsers: detectEnvironment(text, BROWSER_PATTERNS),
+    versions: [...new Set(matchAll(text, VERSION_RE))],
+    locations: [...new Set(matchAll(text, LOCATION_RE).map(l => l.toLowerCase()))],
+    themes: classifyThemes(text),
+    body: text
+  };
+}
+
+function extractBugs(comments) {
+  return comments
+    .map(detectBug)
+    .filter(Boolean)
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function analyzeTopics(comments, opts = {}) {
+  return {
+    ngrams: extractNgrams(comments, opts),
+    themes: clusterThemes(comments),
+    bugs: extractBugs(comments)
+  };
+}
+
+module.exports = { analyzeTopics, extractNgrams, clusterThemes, extractBugs, classifyThemes, THEMES };
@@ -0,0 +1,115 @@
+/**
+ * Upload Backends
+ *
+ * publish.js pushes builds through an uploader so the transport can be
+ * swapped out. Every uploader has the same shape:
+ *
+ *   {
+ *     name: 'butler',
+ *     check()                                  // returns a version/description, throws if unusable
+ *     push(sourcePath, target, opts, onEvent)  // resolves { code, error, uploadedBytes? }
+ *     status(target)                           // prints the channel status
+ *   }
+ *
+ * `onEvent` receives butler-style JSON events ({ type: 'log' | 'progress' | 'error', ... }).
+ * `opts.signal` (an AbortSignal) cancels an in-flight push.
+ *
+ * Backends:
+ *   butler      The real butler CLI. `bin` can point at any executable that
+ *               speaks butler's --json protocol (handy for fakes in tests).
+ *   simulated   Walks the build, applies the ignore globs and reports what
+ *               would be uploaded. Needs neither butler nor network access.
+ */
+
+const { execFileSync } = require('child_process');
+
+const { walkFiles, formatBytes } = require('./manifest');
+const { runStreaming, CommandError } = require('./process');
+
+function butlerArgs(sourcePath, target, opts) {
+  const args = ['push', sourcePath, target, '--json'];
+  if (opts.version) args.push('--userversion', opts.version);
+  if (opts.dryRun) args.push('--dry-run');
+  (opts.ignore || []).forEach(pattern => args.push('--ignore', pattern));
+  return args;
+}
+
+function createButlerUploader({ bin = process.env.BUTLER_PATH || 'butler' } = {}) {
+  return {
+    name: 'butler',
+    bin,
+
+    check() {
+      try {
+        return execFileSync(bin, ['-v'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+      } catch (e) {
+        throw new Error(e.code === 'ENOENT'
+          ? `${bin} not found. Install from https://itch.io/docs/butler/`
+          : `${bin} -v failed: ${e.message.split('\n')[0]}`);
+      }
+    },
+
+    /**
+     * Runs `butler push --json` and reports each JSON event through `onEvent`.
+     * Resolves with the exit code and the last error butler reported.
+     */
+    async push(sourcePath, target, opts, onEvent) {
+      let lastError = null;
+      const { code, stderr } = await runStreaming(bin, butlerArgs(sourcePath, target, opts), {
+        signal: opts.signal,
+        onLine: (line, stream) => {
+          if (stream === 'stderr' || !line.trim()) return;
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch {
+            event = { type: 'log', level: 'info', message: line };
+          }
+          if (event.type === 'error' || event.level === 'error') lastError = event.message || lastError;
+          onEvent(event);
+        }
+      });
+      return { code, error: lastError || stderr.trim().split('\n').pop() || `butler exited with code ${code}` };
+    },
+
+    async status(target, { signal } = {}) {
+      const { code } = await runStreaming(bin, ['status', target], { signal, onLine: line => console.log(line) });
+      if (code !== 0) throw new Error(`${bin} status ${target} exited with code ${code}`);
+    }
+  };
+}
+
+function createSimulatedUploader() {
+  return {
+    name: 'simulated',
+
+    check() {
+      return 'simulated uploads (butler not required)';
+    },
+
+    async push(sourcePath, target, opts, onEvent) {
+      if (opts.signal && opts.signal.aborted) throw new CommandError('simulated push aborted', { aborted: true });
+      const files = walkFiles(sourcePath, { ignore: opts.ignore });
+      const total = files.reduce((sum, f) => sum + f.size, 0);
+
+      files.forEach(f => onEvent({ type: 'log', level: 'info', message: `${formatBytes(f.size).padStart(10)}  ${f.path}` }));
+      if (files.length === 0) onEvent({ type: 'log', level: 'warning', message: `No files to upload from ${sourcePath}` });
+      onEvent({ type: 'log', level: 'info', message: `Would push ${files.length} file(s), ${formatBytes(total)} to ${target}` });
+
+      return { code: 0, error: null, uploadedBytes: total, fileCount: files.length };
+    },
+
+    async status(target) {
+      console.log(`   (simulated) skipping status check for ${target}`);
+    }
+  };
+}
+
+const UPLOADERS = { butler: createButlerUploader, simulated: createSimulatedUploader };
+
+function createUploader(name, opts) {
+  if (!UPLOADERS[name]) throw new Error(`Unknown uploader "${name}" (expected ${Object.keys(UPLOADERS).join(', ')})`);
+  return UPLOADERS[name](opts);
+}
+
+module.exports = { createUploader, createButlerUploader, createSimulatedUploader, butlerArgs, UPLOADERS };
@@ -0,0 +1,95 @@
+/**
+ * Passphrase-Encrypted Files
+ *
+ * Seals sensitive exports (key lists) with a passphrase using only Node's
+ * built-in crypto: scrypt derives the key, AES-256-GCM encrypts and
+ * authenticates the data, so a wrong passphrase or a tampered file fails
+ * loudly instead of producing garbage.
+ *
+ * File format (JSON):
+ *   { "format": "itch-vault-v1", "kdf": { "name": "scrypt", "salt", "N", "r", "p" },
+ *     "cipher": "aes-256-gcm", "iv", "tag", "data" }      // binary fields are base64
+ *
+ * Environment:
+ *   ITCH_VAULT_PASSPHRASE   Passphrase to use instead of prompting
+ */
+
+const crypto = require('crypto');
+const readline = require('readline');
+
+const FORMAT = 'itch-vault-v1';
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const MIN_PASSPHRASE = 8;
+const TAG_LENGTH = 16;
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 128 * N * r * 2 });
+}
+
+function encrypt(plaintext, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: TAG_LENGTH });
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    format: FORMAT,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(envelope, passphrase) {
+  if (!envelope || envelope.format !== FORMAT) throw new Error(`Not an ${FORMAT} file`);
+  // GCM would otherwise accept a truncated tag, which is far easier to forge
+  const tag = Buffer.from(envelope.tag || '', 'base64');
+  if (tag.length !== TAG_LENGTH) throw new Error(`Corrupted file: authentication tag is ${tag.length} bytes, expected ${TAG_LENGTH}`);
+  const { salt, N, r, p } = envelope.kdf;
+  const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'), { authTagLength: TAG_LENGTH });
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Wrong passphrase or corrupted file');
+  }
+}
+
+// Reads a line from the terminal without echoing it
+function ask(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) process.stdout.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Gets the passphrase from ITCH_VAULT_PASSPHRASE or asks for it. With
+ * `confirm`, it has to be typed twice (used when encrypting).
+ */
+async function getPassphrase({ confirm = false } = {}) {
+  let passphrase = process.env.ITCH_VAULT_PASSPHRASE;
+  if (!passphrase) {
+    if (!process.stdin.isTTY) throw new Error('Set ITCH_VAULT_PASSPHRASE or run in a terminal to enter a passphrase');
+    passphrase = await ask('🔐 Passphrase: ');
+    if (confirm && (await ask('🔐 Repeat passphrase: ')) !== passphrase) throw new Error('Passphrases do not match');
+  }
+  if (confirm && passphrase.length < MIN_PASSPHRASE) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  }
+  return passphrase;
+}
+
+module.exports = { encrypt, decrypt, getPassphrase, FORMAT };
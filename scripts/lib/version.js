@@ -0,0 +1,138 @@
+/**
+ * Build Version Resolver
+ *
+ * Derives the version passed to butler's --userversion from the project
+ * itself, so it never has to be bumped by hand in itch-publish.json.
+ *
+ * Sources ("version" in the publish config):
+ *   "1.2.3"          literal version
+ *   "auto:git"       latest git tag (a leading "v" is stripped)
+ *   "auto:package"   "version" in package.json
+ *   "auto:godot"     config/version in project.godot, or application/version in export_presets.cfg
+ *   "auto:renpy"     define config.version in game/options.rpy
+ *   "auto"           first of godot, renpy, package, git that yields a version
+ *
+ * A file can be given after the source, e.g. "auto:godot:game/project.godot".
+ *
+ * Usage:
+ *   const { resolveVersion } = require('./lib/version');
+ *   resolveVersion('auto:git');  // { version: '1.4.0', source: 'git', detail: 'tag v1.4.0' }
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES = ['godot', 'renpy', 'package', 'git'];
+const AUTO_RE = /^auto(?::(godot|renpy|package|git)(?::(.+))?)?$/;
+
+function firstExisting(cwd, candidates) {
+  return candidates.map(f => path.resolve(cwd, f)).find(f => fs.existsSync(f)) || null;
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+function fromGit(cwd) {
+  let tag;
+  try {
+    tag = git(['describe', '--tags', '--abbrev=0'], cwd);
+  } catch {
+    return null;
+  }
+  const ahead = Number(git(['rev-list', '--count', `${tag}..HEAD`], cwd));
+  const warning = ahead > 0 ? `HEAD is ${ahead} commit(s) past tag ${tag}; tag the release to bump the version` : null;
+  return { version: tag.replace(/^v(?=\d)/, ''), detail: `tag ${tag}`, warning };
+}
+
+function fromPackage(cwd, file) {
+  const pkgPath = firstExisting(cwd, [file || 'package.json']);
+  if (!pkgPath) return null;
+  const { version } = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  return version ? { version, detail: path.relative(cwd, pkgPath) } : null;
+}
+
+// Godot stores strings as key="value" in both project.godot and export_presets.cfg
+function godotValue(content, key) {
+  const m = content.match(new RegExp(`^${key.replace(/[/.]/g, '\\$&')}\\s*=\\s*"([^"]*)"`, 'm'));
+  return m && m[1].trim() ? m[1].trim() : null;
+}
+
+function fromGodot(cwd, file) {
+  const files = file ? [file] : ['project.godot', 'export_presets.cfg'];
+  for (const candidate of files) {
+    const filePath = firstExisting(cwd, [candidate]);
+    if (!filePath) continue;
+    const content = fs.readFileSync(filePath, 'utf8');
+    const version = godotValue(content, 'config/version') || godotValue(content, 'application/version');
+    if (version) return { version, detail: path.relative(cwd, filePath) };
+  }
+  return null;
+}
+
+function fromRenpy(cwd, file) {
+  const optionsPath = firstExisting(cwd, file ? [file] : ['game/options.rpy', 'options.rpy']);
+  if (!optionsPath) return null;
+  const content = fs.readFileSync(optionsPath, 'utf8');
+  const m = content.match(/^\s*define\s+config\.version\s*=\s*(?:_\()?\s*["']([^"']+)["']/m);
+  return m ? { version: m[1].trim(), detail: path.relative(cwd, optionsPath) } : null;
+}
+
+const RESOLVERS = { git: fromGit, package: fromPackage, godot: fromGodot, renpy: fromRenpy };
+
+function isAuto(spec) {
+  return typeof spec === 'string' && AUTO_RE.test(spec);
+}
+
+/**
+ * Resolves a config "version" value. Returns { version, source, detail,
+ * warning } or null when no version is configured. Throws when an auto
+ * source finds nothing.
+ */
+function resolveVersion(spec, { cwd = process.cwd() } = {}) {
+  if (!spec) return null;
+  if (!isAuto(spec)) return { version: spec, source: 'config', detail: null, warning: null };
+
+  const [, source, file] = spec.match(AUTO_RE);
+  for (const name of source ? [source] : SOURCES) {
+    const found = RESOLVERS[name](cwd, file);
+    if (found) return { warning: null, ...found, source: name };
+  }
+
+  throw new Error(source
+    ? `version "${spec}": no ${source} version found${file ? ` in ${file}` : ''}`
+    : `version "auto": none of ${SOURCES.join(', ')} yielded a version`);
+}
+
+function versionParts(version) {
+  const [core, pre] = String(version).split(/-(.*)/s, 2);
+  return { core: core.split('+')[0].split('.').map(n => parseInt(n, 10) || 0), pre: pre ? pre.split('+')[0] : null };
+}
+
+/**
+ * Semver-style comparison: numeric parts first, then a pre-release
+ * (1.2.0-beta) sorts before its release (1.2.0).
+ */
+function compareVersions(a, b) {
+  const pa = versionParts(a);
+  const pb = versionParts(b);
+  for (let i = 0; i < Math.max(pa.core.length, pb.core.length); i++) {
+    const diff = (pa.core[i] || 0) - (pb.core[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  if (pa.pre === pb.pre) return 0;
+  if (!pa.pre) return 1;
+  if (!pb.pre) return -1;
+  return pa.pre.localeCompare(pb.pre, undefined, { numeric: true });
+}
+
+function currentCommit(cwd = process.cwd()) {
+  try {
+    return git(['rev-parse', 'HEAD'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { resolveVersion, compareVersions, currentCommit, isAuto, SOURCES };
@@ -0,0 +1,166 @@
+/**
+ * Web Export Validation
+ *
+ * Checks a Godot HTML5 export the way itch.io will serve it: from a CDN
+ * subfolder, inside an iframe, with itch's upload limits.
+ *
+ * - Every local file index.html references (<script src>, <link href>, …)
+ *   exists, with the same letter case (itch's CDN is case-sensitive)
+ * - The engine .js/.wasm/.pck named in GODOT_CONFIG exist and their sizes
+ *   match `fileSizes`, so files from two different exports aren't mixed
+ * - Threaded exports (SharedArrayBuffer) have a cross-origin-isolation fix
+ * - Root-relative (/game.js) or local absolute URLs, which break in the iframe
+ * - Per-file, total size and file count limits for HTML5 uploads
+ *
+ * The checks run against a file list plus a reader, so the same code
+ * validates a folder or a zip. Pass `godot: false` for other engines'
+ * exports to skip the engine-file checks.
+ *
+ * Usage:
+ *   const { validateWebDir } = require('./lib/web-export');
+ *   const { errors, warnings, info } = validateWebDir('build/web');
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { walkFiles, formatBytes } = require('./manifest');
+
+// itch.io limits for HTML5 uploads (extracted)
+const WEB_LIMITS = {
+  fileBytes: 200 * 1024 * 1024,
+  totalBytes: 500 * 1024 * 1024,
+  files: 1000
+};
+
+const REF_RE = /<(?:script|img|audio|video|source|link)\b[^>]*?\s(?:src|href)\s*=\s*(["'])(.*?)\1/gi;
+
+function isExternal(url) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// Local origins only work on the developer's machine
+function isLocalAbsolute(url) {
+  return /^file:/i.test(url) || /^(?:https?:)?\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0)(?::\d+)?(?:\/|$)/i.test(url);
+}
+
+function stripQuery(url) {
+  return url.split(/[?#]/)[0];
+}
+
+// Godot 4 writes `const GODOT_CONFIG = {...};`, Godot 3 `var engine = new Engine({...})`
+function readGodotConfig(html) {
+  const m = html.match(/GODOT_CONFIG\s*=\s*(\{.*?\});/s) || html.match(/new\s+Engine\(\s*(\{.*?\})\s*\)/s);
+  if (!m) return null;
+  try {
+    return JSON.parse(m[1]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates a web export. `files` is [{ path, size }] with "/"-separated
+ * paths relative to the export root; `read(path)` returns a file's text.
+ * Returns { errors, warnings, info }.
+ */
+function validateWebExport(files, read, { index = 'index.html', limits = WEB_LIMITS, godot = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const byPath = new Map(files.map(f => [f.path, f]));
+  const byLower = new Map(files.map(f => [f.path.toLowerCase(), f]));
+  const info = { files: files.length, totalBytes: files.reduce((n, f) => n + f.size, 0), threaded: false, coi: false, config: null };
+
+  if (!byPath.has(index)) {
+    const nested = files.find(f => path.posix.basename(f.path) === index);
+    errors.push(nested
+      ? `${index} is in ${path.posix.dirname(nested.path)}/ - itch.io needs it at the root of the upload`
+      : `No ${index} at the root of the export`);
+    return { errors, warnings, info };
+  }
+
+  const html = read(index);
+
+  // Reports each missing file once, however many places refer to it
+  const reported = new Set();
+  const checkLocal = (file, what) => {
+    if (byPath.has(file)) return true;
+    if (!reported.has(file)) {
+      const other = byLower.get(file.toLowerCase());
+      errors.push(other
+        ? `${what} ${file} only exists as ${other.path} - itch.io is case-sensitive`
+        : `${what} ${file} is missing`);
+      reported.add(file);
+    }
+    return false;
+  };
+
+  // Referenced assets
+  const refs = [...html.matchAll(REF_RE)].map(m => m[2].trim()).filter(Boolean);
+  refs.forEach(url => {
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      errors.push(`${index} uses root-relative URL ${url} - it resolves outside the game's folder on itch.io; use ${url.replace(/^\/+/, '')}`);
+    } else if (isLocalAbsolute(url)) {
+      errors.push(`${index} loads ${url} from the local machine`);
+    } else if (isExternal(url)) {
+      if (!/^(?:data|blob|javascript|mailto):/i.test(url)) {
+        warnings.push(`${index} loads ${url} from another site - it may be blocked once cross-origin isolation is on`);
+      }
+    } else {
+      checkLocal(path.posix.normalize(stripQuery(url)), 'Referenced file');
+    }
+  });
+
+  // Engine files
+  const config = godot ? readGodotConfig(html) : null;
+  const exe = (config && config.executable) || 'index';
+  info.config = config;
+  if (godot && !config) {
+    warnings.push(`No Godot engine config found in ${index} - is this a Godot web export?`);
+  } else if (config) {
+    const engineJs = `${exe}.js`;
+    if (checkLocal(engineJs, 'Engine script') && !refs.some(r => stripQuery(r) === engineJs)) {
+      errors.push(`${index} does not load ${engineJs} (executable "${exe}") - index.html and engine files are from different exports`);
+    }
+    checkLocal(`${exe}.wasm`, 'Engine binary');
+    checkLocal(config.mainPack || `${exe}.pck`, 'Game pack');
+
+    Object.entries(config.fileSizes || {}).forEach(([name, expected]) => {
+      const file = byPath.get(name);
+      if (!file) return checkLocal(name, 'File listed in fileSizes');
+      if (file.size !== expected) {
+        errors.push(`${name} is ${file.size} bytes but ${index} expects ${expected} - it comes from a different export`);
+      }
+    });
+  }
+
+  // Threads need SharedArrayBuffer, which needs cross-origin isolation
+  info.threaded = /GODOT_THREADS_ENABLED\s*=\s*true/.test(html) || byPath.has(`${exe}.worker.js`);
+  const coiScript = refs.find(r => /coi-?service-?worker/i.test(r));
+  const godotPwaCoi = Boolean(config && config.ensureCrossOriginIsolationHeaders && config.serviceWorker && byPath.has(config.serviceWorker));
+  info.coi = Boolean(coiScript && byPath.has(path.posix.normalize(stripQuery(coiScript)))) || godotPwaCoi;
+  if (info.threaded && !info.coi) {
+    warnings.push('Threaded export needs SharedArrayBuffer but has no cross-origin isolation fix - add coi-serviceworker.js, ' +
+      "or enable \"SharedArrayBuffer support\" in the game's embed options on itch.io");
+  }
+
+  // itch.io limits
+  files.filter(f => f.size > limits.fileBytes).forEach(f => {
+    warnings.push(`${f.path} is ${formatBytes(f.size)} - over itch.io's ${formatBytes(limits.fileBytes)} per-file limit for HTML5`);
+  });
+  if (info.totalBytes > limits.totalBytes) {
+    warnings.push(`Export is ${formatBytes(info.totalBytes)} - over itch.io's ${formatBytes(limits.totalBytes)} HTML5 limit`);
+  }
+  if (files.length > limits.files) {
+    warnings.push(`Export has ${files.length} files - over itch.io's ${limits.files} file limit for HTML5`);
+  }
+
+  return { errors, warnings, info };
+}
+
+function validateWebDir(dir, opts) {
+  const files = walkFiles(dir);
+  return validateWebExport(files, rel => fs.readFileSync(path.join(dir, rel), 'utf8'), opts);
+}
+
+module.exports = { validateWebExport, validateWebDir, readGodotConfig, WEB_LIMITS };
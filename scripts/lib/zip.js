@@ -0,0 +1,356 @@
+/**
+ * Zip Archive Reader
+ *
+ * Reads zipped builds in place: lists entries from the central directory
+ * and inflates single files on demand, so a 1 GB build can be checked
+ * without unpacking it; extract() streams entries straight to disk.
+ * Handles stored and deflated entries, zip64 and Unix permissions/symlinks
+ * (macOS .app bundles rely on both).
+ *
+ * Usage:
+ *   const { openZip } = require('./lib/zip');
+ *   const zip = openZip('build/game-mac.zip');
+ *   try {
+ *     zip.files();                   // [{ path, size, crc32, mode }]
+ *     zip.read('index.html');        // Buffer (CRC-checked)
+ *     await zip.extract('staging/mac', { strip: 'game-mac/' });
+ *   } finally {
+ *     zip.close();
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EOCD_SIG = 0x06054b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP64_EOCD_SIG = 0x06064b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const MAX_COMMENT = 0xffff;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+let crcTable = null;
+
+// CRC-32 of `buffer`; pass the previous result to continue across chunks
+function crc32(buffer, previous = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const read = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, read);
+}
+
+// Finds the end-of-central-directory record and returns where the directory is
+function readDirectoryLocation(fd, fileSize, file) {
+  const tailSize = Math.min(fileSize, 22 + MAX_COMMENT);
+  const tail = readAt(fd, fileSize - tailSize, tailSize);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error(`${file} is not a zip archive`);
+
+  let count = tail.readUInt16LE(eocd + 10);
+  let size = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+
+  if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+    const locatorAt = fileSize - tailSize + eocd - 20;
+    const locator = locatorAt >= 0 ? readAt(fd, locatorAt, 20) : Buffer.alloc(0);
+    if (locator.length === 20 && locator.readUInt32LE(0) === ZIP64_LOCATOR_SIG) {
+      const record = readAt(fd, Number(locator.readBigUInt64LE(8)), 56);
+      if (record.readUInt32LE(0) !== ZIP64_EOCD_SIG) throw new Error(`${file} has a corrupt zip64 directory`);
+      count = Number(record.readBigUInt64LE(32));
+      size = Number(record.readBigUInt64LE(40));
+      offset = Number(record.readBigUInt64LE(48));
+    }
+  }
+  return { count, size, offset };
+}
+
+// Replaces 0xFFFFFFFF placeholders with the values from the zip64 extra field
+function applyZip64(entry, extra) {
+  for (let i = 0; i + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === 0x0001) {
+      let p = i + 4;
+      ['size', 'compressedSize', 'offset'].forEach(field => {
+        if (entry[field] === 0xffffffff && p + 8 <= i + 4 + length) {
+          entry[field] = Number(extra.readBigUInt64LE(p));
+          p += 8;
+        }
+      });
+      return;
+    }
+    i += 4 + length;
+  }
+}
+
+function parseDirectory(buffer, count, file) {
+  const entries = [];
+  let p = 0;
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buffer.length || buffer.readUInt32LE(p) !== CENTRAL_SIG) {
+      throw new Error(`${file} has a corrupt central directory`);
+    }
+    const nameLength = buffer.readUInt16LE(p + 28);
+    const extraLength = buffer.readUInt16LE(p + 30);
+    const commentLength = buffer.readUInt16LE(p + 32);
+    const madeByUnix = buffer.readUInt8(p + 5) === 3;
+    const name = buffer.toString('utf8', p + 46, p + 46 + nameLength).replace(/\\/g, '/');
+
+    const entry = {
+      path: name.replace(/^\.?\//, ''),
+      flags: buffer.readUInt16LE(p + 8),
+      method: buffer.readUInt16LE(p + 10),
+      crc32: buffer.readUInt32LE(p + 16),
+      compressedSize: buffer.readUInt32LE(p + 20),
+      size: buffer.readUInt32LE(p + 24),
+      offset: buffer.readUInt32LE(p + 42),
+      mode: madeByUnix ? buffer.readUInt32LE(p + 38) >>> 16 : 0
+    };
+    applyZip64(entry, buffer.subarray(p + 46 + nameLength, p + 46 + nameLength + extraLength));
+    entry.directory = name.endsWith('/');
+    entry.symlink = (entry.mode & S_IFMT) === S_IFLNK;
+    entries.push(entry);
+
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+function isSymlink(target) {
+  try {
+    return fs.lstatSync(target).isSymbolicLink();
+  } catch {
+    return false;
+  }
+}
+
+// Refuses `dir` when its nearest existing ancestor really lives outside `root`
+function assertRealInside(root, dir, file, name) {
+  let existing = dir;
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) existing = path.dirname(existing);
+  if (!isInside(root, fs.realpathSync(existing))) throw new Error(`${file}: ${name} points outside the archive`);
+}
+
+/**
+ * Follows `link` from `dir` one component at a time, the way the OS does:
+ * symlinks met on the way are resolved before ".." applies. False as soon
+ * as any step leaves `root`.
+ */
+function resolvesInside(root, dir, link) {
+  let current = fs.realpathSync(dir);
+  for (const part of link.split('/')) {
+    if (!part || part === '.') continue;
+    current = part === '..' ? path.dirname(current) : path.join(current, part);
+    if (isSymlink(current)) {
+      try {
+        current = fs.realpathSync(current);
+      } catch {
+        return false;
+      }
+    }
+    if (!isInside(root, current)) return false;
+  }
+  return true;
+}
+
+/**
+ * Opens a zip file and reads its central directory. The returned reader
+ * holds the file open until close().
+ */
+function openZip(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { count, size, offset } = readDirectoryLocation(fd, fs.fstatSync(fd).size, file);
+    const entries = parseDirectory(readAt(fd, offset, size), count, file);
+    const byPath = new Map(entries.map(e => [e.path, e]));
+
+    const dataOffset = entry => {
+      const header = readAt(fd, entry.offset, 30);
+      if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIG) throw new Error(`${file}: corrupt entry ${entry.path}`);
+      return entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    };
+
+    // Streams one entry to `target`, inflating and checking the CRC-32 on the way
+    const streamEntry = async (entry, target) => {
+      if (entry.compressedSize === 0) {
+        if (entry.size !== 0) throw new Error(`${file}: ${entry.path} is corrupt`);
+        fs.writeFileSync(target, '');
+        return;
+      }
+      const start = dataOffset(entry);
+      let crc = 0;
+      let size = 0;
+      const check = new Transform({
+        transform(chunk, encoding, done) {
+          crc = crc32(chunk, crc);
+          size += chunk.length;
+          done(null, chunk);
+        }
+      });
+      const stages = [fs.createReadStream(file, { start, end: start + entry.compressedSize - 1 })];
+      if (entry.method === 8) stages.push(zlib.createInflateRaw());
+      await pipeline(...stages, check, fs.createWriteStream(target));
+      if (size !== entry.size || crc !== entry.crc32) throw new Error(`${file}: ${entry.path} is corrupt (CRC mismatch)`);
+    };
+
+    const lookup = name => {
+      const entry = typeof name === 'string' ? byPath.get(name) : name;
+      if (!entry) throw new Error(`${file} has no ${name}`);
+      if (entry.flags & 1) throw new Error(`${file}: ${entry.path} is encrypted`);
+      if (entry.method !== 0 && entry.method !== 8) throw new Error(`${file}: ${entry.path} uses unsupported compression (method ${entry.method})`);
+      return entry;
+    };
+
+    const reader = {
+      file,
+      entries,
+
+      // Regular files (no directories or symlinks) as [{ path, size, crc32, mode }]
+      files() {
+        return entries
+          .filter(e => !e.directory && !e.symlink)
+          .map(e => ({ path: e.path, size: e.size, crc32: e.crc32, mode: e.mode }));
+      },
+
+      has(name) {
+        return byPath.has(name);
+      },
+
+      // Whole entry contents, checked against the stored CRC-32
+      read(name) {
+        const entry = lookup(name);
+        const raw = readAt(fd, dataOffset(entry), entry.compressedSize);
+        const data = entry.method === 8 ? zlib.inflateRawSync(raw) : raw;
+        if (data.length !== entry.size || crc32(data) !== entry.crc32) throw new Error(`${file}: ${entry.path} is corrupt (CRC mismatch)`);
+        return data;
+      },
+
+      // The first `length` bytes only, e.g. to sniff a file's magic number
+      readHead(name, length) {
+        const entry = lookup(name);
+        const want = entry.method === 8 ? Math.min(entry.compressedSize, Math.max(length * 4, 64 * 1024)) : Math.min(entry.size, length);
+        const raw = readAt(fd, dataOffset(entry), want);
+        const data = entry.method === 8 ? zlib.inflateRawSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH }) : raw;
+        return data.subarray(0, length);
+      },
+
+      /**
+       * Extracts everything under `strip` (a "dir/" prefix, default all) into
+       * `dest`, keeping executable bits and symlinks. Entries are streamed to
+       * disk, so large files never sit in memory. Symlinks are created last,
+       * and anything that would resolve outside `dest` - directly or through
+       * another symlink - is refused. Resolves to the number of files written.
+       */
+      async extract(dest, { strip = '' } = {}) {
+        fs.mkdirSync(dest, { recursive: true });
+        const root = fs.realpathSync(dest);
+        const selected = entries.filter(e => e.path.startsWith(strip) && e.path.length > strip.length);
+        const targetOf = entry => {
+          const target = path.resolve(root, entry.path.slice(strip.length));
+          if (!isInside(root, target)) throw new Error(`${file}: ${entry.path} points outside the archive`);
+          return target;
+        };
+        let written = 0;
+
+        for (const entry of selected.filter(e => !e.symlink)) {
+          const target = targetOf(entry);
+          assertRealInside(root, entry.directory ? target : path.dirname(target), file, entry.path);
+          if (entry.directory) {
+            fs.mkdirSync(target, { recursive: true });
+            continue;
+          }
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          await streamEntry(lookup(entry), target);
+          if (entry.mode & 0o777) fs.chmodSync(target, entry.mode & 0o777);
+          written++;
+        }
+
+        const links = selected.filter(e => e.symlink).map(entry => {
+          const target = targetOf(entry);
+          const link = reader.read(entry).toString('utf8');
+          if (path.isAbsolute(link)) throw new Error(`${file}: symlink ${entry.path} points outside the archive`);
+          assertRealInside(root, path.dirname(target), file, entry.path);
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          if (fs.existsSync(target) || isSymlink(target)) throw new Error(`${file}: symlink ${entry.path} collides with another entry`);
+          fs.symlinkSync(link, target);
+          return { entry, target, link };
+        });
+
+        // Checked once every link exists, so a link resolving through a later one is caught too
+        const escaped = links.filter(({ target, link }) => !resolvesInside(root, path.dirname(target), link));
+        if (escaped.length > 0) {
+          links.forEach(({ target }) => fs.rmSync(target, { force: true }));
+          throw new Error(`${file}: symlink ${escaped[0].entry.path} points outside the archive`);
+        }
+        return written;
+      },
+
+      close() {
+        fs.closeSync(fd);
+      }
+    };
+    return reader;
+  } catch (e) {
+    fs.closeSync(fd);
+    throw e;
+  }
+}
+
+// Opens `file`, runs fn(zip) and always closes it, also when fn returns a promise
+function withZip(file, fn) {
+  const zip = openZip(file);
+  let result;
+  try {
+    result = fn(zip);
+  } catch (e) {
+    zip.close();
+    throw e;
+  }
+  if (result && typeof result.then === 'function') return result.finally(() => zip.close());
+  zip.close();
+  return result;
+}
+
+/**
+ * The single top-level folder every file sits in ("game-1.0-pc/"), or ''
+ * when files sit at the top or in several folders. A lone .app bundle is
+ * the build itself, not a wrapper.
+ */
+function commonRoot(files) {
+  const tops = new Set(files.map(f => (f.path.includes('/') ? f.path.split('/')[0] : null)));
+  if (tops.size !== 1 || tops.has(null)) return '';
+  const [top] = tops;
+  return /\.app$/i.test(top) ? '' : `${top}/`;
+}
+
+function isZip(file) {
+  return /\.zip$/i.test(file);
+}
+
+module.exports = { openZip, withZip, commonRoot, isZip, crc32 };
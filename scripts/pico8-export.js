@@ -8,11 +8,14 @@
  *   node pico8-export.js <carts-directory>
  * 
  * Requires: PICO-8 installed at standard location
+ *
+ * Ctrl+C cancels the export in progress and skips the remaining carts.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+
+const { runStreaming, interruptController } = require('./lib/process');
 
 const PICO8_PATHS = [
   '/Applications/pico8.app/Contents/MacOS/pico8',  // macOS
@@ -29,28 +32,40 @@ function findPico8() {
   return null;
 }
 
-function runPico8(args) {
+// Runs PICO-8 with an argv array (no shell), streaming its output
+async function runPico8(args, { cwd, signal } = {}) {
   const pico8 = findPico8();
   if (!pico8) {
     throw new Error('PICO-8 not found. Install from https://www.lexaloffle.com/pico-8.php');
   }
-  return execSync(`"${pico8}" ${args}`, { encoding: 'utf8' });
+  const { code, stderr } = await runStreaming(pico8, args, {
+    cwd,
+    signal,
+    onLine: line => line.trim() && console.log(`   │ ${line}`)
+  });
+  if (code !== 0) {
+    const detail = stderr.trim().split('\n').pop();
+    throw new Error(`PICO-8 exited with code ${code}${detail ? `: ${detail}` : ''}`);
+  }
 }
 
-function exportCart(cartPath, outputDir) {
+// Quotes an argument for the printed butler commands so they paste safely
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+async function exportCart(cartPath, outputDir, signal) {
   const base = path.basename(cartPath, '.p8.png').replace('.p8', '');
   const cartDir = path.dirname(cartPath);
   
   console.log(`\n🎮 Exporting: ${base}`);
   
-  // Change to cart directory for PICO-8
-  process.chdir(cartDir);
-  
-  // Export HTML5
+  // Export HTML5 (PICO-8 writes into its working directory)
   try {
-    runPico8(`-x "${cartPath}" -export index.html`);
+    await runPico8(['-x', path.resolve(cartPath), '-export', 'index.html'], { cwd: cartDir, signal });
     console.log('   ✅ HTML5 exported');
   } catch (e) {
+    if (e.aborted) throw e;
     console.log('   ❌ HTML5 export failed:', e.message);
     return null;
   }
@@ -86,11 +101,11 @@ function generateButlerCommands(outputDir, user) {
   
   console.log('\n📦 Butler commands to publish:\n');
   dirs.forEach(dir => {
-    console.log(`butler push "${outputDir}/${dir}" "${user}/${dir}:html5"`);
+    console.log(`butler push ${shellQuote(path.join(outputDir, dir))} ${shellQuote(`${user}/${dir}:html5`)}`);
   });
 }
 
-function main() {
+async function main() {
   const cartsDir = process.argv[2];
   const itchUser = process.argv[3];
   
@@ -124,11 +139,19 @@ function main() {
   const outputDir = path.join(cartsDir, '../itch-ready');
   fs.mkdirSync(outputDir, { recursive: true });
   
+  const controller = interruptController(() => console.log('\n⚠️  Interrupted - cancelling export (Ctrl+C again to quit now)'));
   const exported = [];
   for (const cart of carts) {
-    const result = exportCart(cart, outputDir);
-    if (result) exported.push(result);
+    try {
+      const result = await exportCart(cart, outputDir, controller.signal);
+      if (result) exported.push(result);
+    } catch (e) {
+      if (!e.aborted) throw e;
+      console.log(`\n⛔ Export cancelled after ${exported.length}/${carts.length} carts`);
+      process.exit(130);
+    }
   }
+  controller.dispose();
   
   console.log(`\n✅ Exported ${exported.length}/${carts.length} carts`);
   console.log(`   Output: ${outputDir}`);
@@ -140,4 +163,7 @@ function main() {
   }
 }
 
-main();
+main().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
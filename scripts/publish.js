@@ -5,8 +5,23 @@
  * Publishes game builds to itch.io using the Butler CLI.
  * 
  * Usage:
- *   node publish.js <config.json>
- *   
+ *   node publish.js <config.json> [--profile beta] [--dry-run] [--resume] [--force] [--retries 3] [--concurrency 1]
+ *                   [--uploader butler|simulated] [--butler <path>]
+ *   node publish.js <config.json> diff [channel] [--profile beta] [--top 10]
+ *
+ * Options:
+ *   --profile <name>   Apply a named profile from the config's "profiles"
+ *   --dry-run       Simulate the push: list the files each channel would upload (no butler needed)
+ *   --resume        Only push channels that haven't succeeded in the last run
+ *   --force         Push even if the version isn't newer than the last published one
+ *   --retries <n>   Retry a failed channel up to n times with backoff (default: 3)
+ *   --concurrency <n>  Push up to n channels in parallel (default: 1)
+ *   --uploader <name>  butler (default) or simulated; `--dry-run --uploader butler`
+ *                      runs butler's own --dry-run instead
+ *   --butler <path>    butler executable to use (default: $BUTLER_PATH or butler)
+ *
+ * Ctrl+C cancels the uploads in progress; re-run with --resume to finish.
+ *
  * Config format:
  * {
  *   "user": "your-itch-username",
@@ -17,79 +32,32 @@
  *     "osx": "./build/mac",
  *     "linux": "./build/linux"
  *   },
- *   "version": "1.0.0",
- *   "ignore": ["*.map", "node_modules/**"]
+ *   "version": "1.0.0",            // or "auto:git", "auto:package", "auto:godot", "auto:renpy"
+ *   "ignore": ["*.map", "node_modules/**"],
+ *   "changelog": { "dir": "./devlog", "builds": true },
+ *   "budgets": { "html5": "100MB", "*": "1GB" },
+ *   "profiles": {
+ *     "beta": { "game": "game-name-beta" }
+ *   }
  * }
+ *
+ * The config is validated up front (channel names, paths, version, ignore
+ * globs); see lib/config.js for the profile merge rules and lib/version.js
+ * for how "auto:*" versions are resolved. Every successful publish is logged
+ * to .itch/publish-history-<user>-<game>.jsonl with its version and commit.
+ *
+ * With "changelog" set, each push also writes a devlog draft (Markdown) and
+ * patch notes (plain text) from the commits since the previous version.
+ *
+ * A manifest (files, sizes, hashes) is recorded per channel on every push
+ * under .itch/manifests/<user>-<game>/. A channel whose build exceeds its
+ * budget fails without being pushed; `diff` compares the current builds
+ * with the last pushed manifests.
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-
-function log(msg, type = 'info') {
-  const icons = { info: 'ℹ️', success: '✅', error: '❌', warn: '⚠️' };
-  console.log(`${icons[type] || 'ℹ️'} ${msg}`);
-}
-
-function run(cmd, opts = {}) {
-  try {
-    return execSync(cmd, { encoding: 'utf8', stdio: opts.silent ? 'pipe' : 'inherit', ...opts });
-  } catch (e) {
-    if (!opts.ignoreError) throw e;
-    return '';
-  }
-}
-
-function checkButler() {
-  try {
-    const version = run('butler -v', { silent: true }).trim();
-    log(`Butler version: ${version}`, 'success');
-    return true;
-  } catch {
-    log('Butler not found. Install from https://itch.io/docs/butler/', 'error');
-    return false;
-  }
-}
-
-function pushChannel(user, game, channel, sourcePath, opts = {}) {
-  const target = `${user}/${game}:${channel}`;
-  
-  if (!fs.existsSync(sourcePath)) {
-    log(`Source path not found: ${sourcePath}`, 'warn');
-    return false;
-  }
-
-  let cmd = `butler push "${sourcePath}" "${target}"`;
-  
-  if (opts.version) cmd += ` --userversion "${opts.version}"`;
-  if (opts.dryRun) cmd += ' --dry-run';
-  
-  if (opts.ignore) {
-    opts.ignore.forEach(pattern => {
-      cmd += ` --ignore "${pattern}"`;
-    });
-  }
-  
-  log(`Pushing ${channel} from ${sourcePath}...`);
-  
-  try {
-    run(cmd);
-    log(`${channel} uploaded successfully`, 'success');
-    return true;
-  } catch (e) {
-    log(`Failed to push ${channel}: ${e.message}`, 'error');
-    return false;
-  }
-}
-
-function checkStatus(user, game) {
-  log(`Checking status for ${user}/${game}...`);
-  try {
-    run(`butler status "${user}/${game}"`);
-  } catch (e) {
-    log('Status check failed', 'warn');
-  }
-}
+const { loadConfig, ConfigError } = require('./lib/config');
+const { getFlag } = require('./lib/args');
+const { publish, parseRetries, parseConcurrency, diffBuilds, log } = require('./lib/publish');
 
 async function main() {
   const configPath = process.argv[2];
@@ -107,48 +75,46 @@ async function main() {
     process.exit(1);
   }
 
-  if (!fs.existsSync(configPath)) {
-    log(`Config file not found: ${configPath}`, 'error');
-    process.exit(1);
-  }
-
-  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-  
-  if (!config.user || !config.game) {
-    log('Config must include "user" and "game" fields', 'error');
+  let retries;
+  let concurrency;
+  try {
+    retries = parseRetries(getFlag(process.argv, '--retries', '3'));
+    concurrency = parseConcurrency(getFlag(process.argv, '--concurrency', '1'));
+  } catch (e) {
+    log(e.message, 'error');
+    console.log('Usage: node publish.js <config.json> [--retries <n>] [--concurrency <n>]');
     process.exit(1);
   }
 
-  if (!checkButler()) {
+  let config;
+  try {
+    const loaded = loadConfig(configPath, { profile: getFlag(process.argv, '--profile') });
+    config = loaded.config;
+    loaded.warnings.forEach(w => log(w, 'warn'));
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    log(`Config ${e.file} has ${e.errors.length} problem(s):`, 'error');
+    e.errors.forEach(err => console.log(`   - ${err}`));
     process.exit(1);
   }
 
-  const dryRun = process.argv.includes('--dry-run');
-  if (dryRun) log('DRY RUN MODE - no actual uploads', 'warn');
+  if (config.profile) log(`Using profile "${config.profile}" → ${config.user}/${config.game}`);
 
-  const channels = Object.entries(config.channels || {});
-  if (channels.length === 0) {
-    log('No channels configured', 'warn');
-    process.exit(1);
+  if (process.argv[3] === 'diff') {
+    const channel = process.argv[4] && !process.argv[4].startsWith('--') ? process.argv[4] : null;
+    await diffBuilds(config, channel, Number(getFlag(process.argv, '--top', 10)));
+    return;
   }
 
-  const results = [];
-  for (const [channel, sourcePath] of channels) {
-    const success = pushChannel(config.user, config.game, channel, sourcePath, {
-      version: config.version,
-      ignore: config.ignore,
-      dryRun
-    });
-    results.push({ channel, success });
-  }
-
-  console.log('');
-  log('=== SUMMARY ===', 'info');
-  results.forEach(r => {
-    log(`${r.channel}: ${r.success ? '✅ OK' : '❌ FAILED'}`, r.success ? 'success' : 'error');
+  await publish(config, {
+    dryRun: process.argv.includes('--dry-run'),
+    resume: process.argv.includes('--resume'),
+    force: process.argv.includes('--force'),
+    retries,
+    concurrency,
+    uploader: getFlag(process.argv, '--uploader'),
+    butler: getFlag(process.argv, '--butler')
   });
-
-  checkStatus(config.user, config.game);
 }
 
 main().catch(e => {
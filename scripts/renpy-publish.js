@@ -5,123 +5,128 @@
  * Verifies Ren'Py distributions and generates butler commands.
  * 
  * Usage:
- *   node renpy-publish.js <build-directory> <itch-username/game>
+ *   node renpy-publish.js <build-directory> <itch-username/game> [--push]
  * 
  * Example:
  *   node renpy-publish.js ./build user123/my-vn
+ *   node renpy-publish.js ./build user123/my-vn --push --dry-run
+ *
+ * --push uploads the detected builds instead of printing butler commands,
+ * through the same pipeline as publish.js (version checks, budgets,
+ * manifests, history). It takes publish.js's --version, --ignore <glob>,
+ * --dry-run, --resume, --force, --retries, --concurrency, --uploader and
+ * --butler. Without --version, "auto" is used (game/options.rpy, then git).
+ *
+ * Each desktop build is checked against the project's game/options.rpy
+ * (--project <dir>, else the build directory's parent or the current
+ * directory): directory name, launchers (.exe/.sh/.app), game/*.rpa
+ * archives, and files that should not ship (.rpy sources, saves, anything
+ * classified None - the renpy/ and lib/ engine files are not checked).
+ * Builds with errors are left out.
+ *
+ * Zipped distributions (my-vn-1.0-pc.zip, my-vn-1.0-web.zip) are read in
+ * place and get the same checks; butler pushes them as they are, or
+ * --extract <dir> unpacks them to <dir>/<channel> and pushes those.
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const { formatBytes } = require('./lib/manifest');
+const { inspectBuild } = require('./lib/builds');
+const { getFlag } = require('./lib/args');
+const { publishBuilds, pushOptions, PUSH_VALUE_FLAGS } = require('./lib/publish');
+const { findOptions, validateDistribution } = require('./lib/renpy');
+const { validateWebExport } = require('./lib/web-export');
+const { isZip } = require('./lib/zip');
+
+const VALUE_FLAGS = ['--project', '--extract', ...PUSH_VALUE_FLAGS];
+
 const PLATFORMS = {
-  pc: {
-    channel: 'windows',
-    name: 'Windows',
-    check: (files) => files.some(f => f.endsWith('.exe') && !f.includes('mac'))
-  },
-  mac: {
-    channel: 'osx',
-    name: 'macOS',
-    check: (files) => files.some(f => f.endsWith('.app') || f.includes('mac') || f.includes('-mac'))
-  },
-  linux: {
-    channel: 'linux',
-    name: 'Linux',
-    check: (files) => files.some(f => f.toLowerCase().includes('linux') && !f.includes('.exe'))
-  },
-  web: {
-    channel: 'html5',
-    name: 'Web',
-    check: (files) => files.includes('index.html') || files.some(f => f.endsWith('web.zip'))
-  }
+  pc: { channel: 'windows', name: 'Windows' },
+  mac: { channel: 'osx', name: 'macOS' },
+  linux: { channel: 'linux', name: 'Linux' },
+  market: { channel: 'windows-osx-linux', name: 'Windows/macOS/Linux (market)' },
+  web: { channel: 'html5', name: 'Web' }
 };
 
-function detectPlatform(dir) {
-  const files = fs.readdirSync(dir);
+// `files` is [{ path, size }] relative to the web build, `read(path)` returns a file's text
+function checkWebBuild(files, read) {
+  const index = files.find(f => f.path === 'index.html');
+  const { errors, warnings, info } = validateWebExport(files, read, { godot: false });
   
-  for (const [key, plat] of Object.entries(PLATFORMS)) {
-    if (plat.check(files)) return key;
+  if (index) {
+    console.log(`   📄 index.html: ${(index.size / 1024).toFixed(1)} KB`);
+    
+    // Check for Pyodide (WASM) indicators
+    const content = read('index.html');
+    if (content.includes('pyodide') || content.includes('renpy-web')) {
+      console.log(`   ✅ Ren'Py Web (Pyodide WASM)`);
+    }
   }
   
-  // Heuristic: directory name hints
-  const name = path.basename(dir).toLowerCase();
-  if (name.includes('win')) return 'pc';
-  if (name.includes('mac')) return 'mac';
-  if (name.includes('linux')) return 'linux';
-  if (name.includes('web')) return 'web';
+  // Check file count (Ren'Py web is typically many files)
+  console.log(`   📁 ${info.files} files total, ${formatBytes(info.totalBytes)}`);
+  warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+  errors.forEach(e => console.log(`   ❌ ${e}`));
   
-  return null;
+  return errors.length === 0;
 }
 
-function checkWebBuild(dir) {
-  const indexPath = path.join(dir, 'index.html');
-  if (!fs.existsSync(indexPath)) return false;
-  
-  const content = fs.readFileSync(indexPath, 'utf8');
-  const size = fs.statSync(indexPath).size;
-  
-  console.log(`   📄 index.html: ${(size / 1024).toFixed(1)} KB`);
-  
-  // Check for Pyodide (WASM) indicators
-  if (content.includes('pyodide') || content.includes('renpy-web')) {
-    console.log(`   ✅ Ren'Py Web (Pyodide WASM)`);
-  }
-  
-  // Check file count (Ren'Py web is typically many files)
-  const allFiles = fs.readdirSync(dir);
-  console.log(`   📁 ${allFiles.length} files total`);
-  
-  return true;
+function checkDesktopBuild(result) {
+  const { info, errors, warnings } = result;
+
+  info.launchers.forEach(launcher => console.log(`   🚀 Launcher: ${launcher}`));
+  if (info.archives.length > 0) console.log(`   📦 Archives: ${info.archives.join(', ')}`);
+  warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+  errors.forEach(e => console.log(`   ❌ ${e}`));
+
+  return errors.length === 0;
 }
 
-function checkDesktopBuild(dir, platform) {
-  const files = fs.readdirSync(dir);
-  
-  // Look for launcher
-  const launcher = files.find(f => 
-    platform === 'pc' ? f.endsWith('.exe') && !f.includes('mac') :
-    platform === 'mac' ? f.endsWith('.app') || f.endsWith('mac.zip') :
-    !f.includes('.') // Linux executables typically have no extension
-  );
-  
-  if (launcher) {
-    console.log(`   🚀 Launcher: ${launcher}`);
-  }
-  
-  // Check for lib/ directory (Ren'Py runtime)
-  const hasLib = files.includes('lib') && fs.statSync(path.join(dir, 'lib')).isDirectory();
-  if (hasLib) console.log(`   ✅ Ren'Py runtime included (lib/)`);
-  
-  return true;
+/**
+ * Validates one distribution, a folder or a zip read in place (see
+ * lib/builds.js). Resolves to { platform, ok, pushPath }; with `extractDir`
+ * a valid zip is unpacked to <extractDir>/<channel> and pushed from there.
+ */
+function checkBuild(entry, options, extractDir) {
+  return inspectBuild(entry, build => {
+    const result = validateDistribution(build.name, build.files, options);
+    const { platform, info } = result;
+    const label = `${build.name}${build.zipped ? '' : '/'}${info.root ? ` (in ${info.root})` : ''}`;
+    
+    if (!platform) {
+      console.log(`\n❓ Unknown: ${label}`);
+      return { platform, ok: false };
+    }
+    const icon = platform === 'web' ? '🌐' : result.errors.length > 0 ? '❌' : '✅';
+    console.log(`\n${icon} ${PLATFORMS[platform].name}: ${label}`);
+    
+    const ok = platform === 'web' ? checkWebBuild(build.pushed.files, build.pushed.read) : checkDesktopBuild(result);
+    return { platform, ok, channel: PLATFORMS[platform].channel, strip: info.root };
+  }, { extractDir });
 }
 
-function scanBuilds(buildDir) {
+// Returns { builds, invalid }: detected platform → folder or zip, and builds that failed validation
+async function scanBuilds(buildDir, options, { extractDir } = {}) {
   const builds = {};
+  const invalid = [];
   
-  const entries = fs.readdirSync(buildDir)
-    .map(f => path.join(buildDir, f))
-    .filter(f => fs.statSync(f).isDirectory());
+  const entries = fs.readdirSync(buildDir).map(f => path.join(buildDir, f));
   
   for (const entry of entries) {
-    const name = path.basename(entry);
-    const platform = detectPlatform(entry);
-    
-    if (platform) {
-      builds[platform] = entry;
-      console.log(`\n✅ ${PLATFORMS[platform].name}: ${name}/`);
-      
-      if (platform === 'web') {
-        checkWebBuild(entry);
-      } else {
-        checkDesktopBuild(entry, platform);
-      }
-    } else {
-      console.log(`\n❓ Unknown: ${name}/`);
+    if (/\.tar\.(?:bz2|gz)$/i.test(entry)) {
+      console.log(`\n⚠️  ${path.basename(entry)}: tar archives aren't inspected - extract it, or build a zip instead`);
+      continue;
     }
+    if (!fs.statSync(entry).isDirectory() && !isZip(entry)) continue;
+    
+    const { platform, ok, pushPath } = await checkBuild(entry, options, extractDir);
+    if (ok) builds[platform] = pushPath;
+    else if (platform) invalid.push(path.basename(entry));
   }
   
-  return builds;
+  return { builds, invalid };
 }
 
 function generateCommands(builds, target) {
@@ -135,12 +140,12 @@ function generateCommands(builds, target) {
   console.log('\n\n# After all uploads:');
   console.log(`butler status "${target}"`);
   console.log('\n# Optional: mark as complete');
-  console.log(`# (Do this via itch.io dashboard under Metadata → Completed)');
+  console.log('# (Do this via itch.io dashboard under Metadata → Completed)');
 }
 
-function main() {
-  const buildDir = process.argv[2];
-  const target = process.argv[3];
+async function main() {
+  const args = process.argv.slice(2);
+  const [buildDir, target] = args.filter((a, i) => !a.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
   
   if (!buildDir || !target) {
     console.log('Usage: node renpy-publish.js <build-directory> <itch-username/game>');
@@ -148,14 +153,21 @@ function main() {
     console.log('Example:');
     console.log('  node renpy-publish.js ./build myname/my-visual-novel');
     console.log('');
-    console.log('Build from Ren'Py Launcher → Build Distributions');
+    console.log("Build from Ren'Py Launcher → Build Distributions");
     console.log('');
     console.log('Expected structure:');
     console.log('  build/');
-    console.log('    ├── my-game-1.0-pc/       (Windows)');
+    console.log('    ├── my-game-1.0-pc/       (Windows; zipped distributions work too)');
     console.log('    ├── my-game-1.0-mac/      (macOS)');
     console.log('    ├── my-game-1.0-linux/    (Linux)');
     console.log('    └── my-game-1.0-web/      (HTML5)');
+    console.log('');
+    console.log('Options:');
+    console.log('  --project <dir>  Ren\'Py project to check the builds against (game/options.rpy);');
+    console.log('                   defaults to the build directory\'s parent, then the current directory');
+    console.log('  --extract <dir>  Unpack zipped builds into <dir> and push from there');
+    console.log('  --push     Upload the builds (publish.js pipeline) instead of printing butler commands');
+    console.log('             Also takes --version, --ignore <glob>, --dry-run, --resume, --force');
     process.exit(1);
   }
   
@@ -164,18 +176,55 @@ function main() {
     process.exit(1);
   }
   
-  console.log(`🔍 Scanning Ren'Py builds: ${buildDir}\n`);
+  // Bad --push flags fail now rather than after the builds are checked
+  if (args.includes('--push')) pushOptions(args);
+
+  const projectFlag = getFlag(args, '--project');
+  if (projectFlag && !fs.existsSync(path.join(projectFlag, 'game', 'options.rpy'))) {
+    console.error(`❌ No game/options.rpy in ${projectFlag}`);
+    process.exit(1);
+  }
+  const project = findOptions(projectFlag ? [projectFlag] : [path.dirname(path.resolve(buildDir)), process.cwd()]);
+  
+  if (project) {
+    const { options } = project;
+    console.log(`📝 Build settings: ${path.relative(process.cwd(), project.file) || project.file}`);
+    console.log(`   build.directory_name: ${options.directoryName || '(not set)'}, launcher: ${options.executableName || '(not set)'}`);
+    if (options.rpaNames.length > 0) console.log(`   archives: ${options.rpaNames.map(a => `${a}.rpa`).join(', ')}`);
+    if (options.itchProject && options.itchProject !== target) {
+      console.log(`   ⚠️  build.itch_project is "${options.itchProject}", pushing to "${target}"`);
+    }
+  } else {
+    console.log('⚠️  No game/options.rpy found - pass --project to check builds against the build settings');
+  }
+  
+  console.log(`\n🔍 Scanning Ren'Py builds: ${buildDir}`);
   
-  const builds = scanBuilds(buildDir);
+  const { builds, invalid } = await scanBuilds(buildDir, project && project.options, { extractDir: getFlag(args, '--extract') });
   
   if (Object.keys(builds).length === 0) {
-    console.log('\n❌ No Ren'Py builds detected');
-    console.log('Make sure you\'ve used Ren'Py Launcher → Build Distributions');
+    console.log(invalid.length > 0 ? `\n❌ Every build failed validation: ${invalid.join(', ')}` : "\n❌ No Ren'Py builds detected");
+    console.log("Make sure you've used Ren'Py Launcher → Build Distributions");
     process.exit(1);
   }
   
   console.log(`\n✅ Found ${Object.keys(builds).length} build(s)`);
-  generateCommands(builds, target);
+  
+  if (args.includes('--push')) {
+    const channels = Object.fromEntries(Object.entries(builds).map(([plat, dir]) => [PLATFORMS[plat].channel, dir]));
+    const cwd = project ? project.projectDir : undefined;
+    await publishBuilds(target, channels, { ...pushOptions(args), cwd, source: 'renpy-publish.js --push' });
+  } else {
+    generateCommands(builds, target);
+  }
+  
+  if (invalid.length > 0) {
+    console.log(`\n❌ Left out after failing validation: ${invalid.join(', ')}`);
+    process.exitCode = 1;
+  }
 }
 
-main();
+main().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
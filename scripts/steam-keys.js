@@ -1,98 +1,374 @@
 #!/usr/bin/env node
 /**
- * itch.io Steam Key Manager
+ * itch.io Steam & Download Key Manager
  * 
- * Upload and audit Steam keys for your games.
+ * Upload and audit Steam keys, and generate and track itch.io download keys
+ * for press, bundles and backers.
  * 
  * Usage:
  *   export ITCH_IO_API_KEY="your-key"
  *   node steam-keys.js <game-id> <command> [args]
+ *   node steam-keys.js decrypt <keys.enc> [--out keys.csv] [--reveal]
  * 
  * Commands:
  *   upload <keys.csv>     Upload keys from CSV file
- *   count                 Show key inventory stats
- *   audit                 List all active keys (sensitive!)
+ *   check <keys.csv>      Validate a key CSV without uploading
+ *   count                 Show key inventory, claim rate and runway forecast
+ *   audit                 List all keys (redacted unless --reveal)
+ *   export <keys.enc>     Write claimed/unclaimed keys to a passphrase-encrypted file
+ *
+ * Download key commands:
+ *   download generate <count> --label <batch> [--recipients <file>]
+ *                         Generate keys; recipients (one per line) label them in order
+ *   download list [--batch <label>]      List keys with batch, recipient and claim status
+ *   download export <out.csv> [--batch <label>]
+ *                         Write keys with their recipient labels to a CSV
+ *   download revoke <batch> [--dry-run]  Delete the unclaimed keys of a batch
+ *
+ * Options:
+ *   --write-clean <out.csv>   upload/check: also write the accepted keys to a cleaned CSV
+ *   --reveal                  Show keys in full instead of AAAAA-*****-***CC
+ *                             (download keys show only their first and last characters)
+ *   --only <claimed|unclaimed>  export: only include one list
+ *   --out <file.csv>          decrypt: write the keys to a CSV instead of printing them
+ *   --window <days>           count: days of claims used for the claim rate (default 30)
+ *   --alert-days <days>       count: exit with code 2 when the forecast runway is shorter
+ *                             (or set ITCH_KEY_ALERT_DAYS)
+ *
+ * The passphrase for export/decrypt is read from ITCH_VAULT_PASSPHRASE or
+ * asked for interactively (see lib/vault.js).
+ *
+ * Before uploading, the CSV is parsed (BOM, quotes, header row and ","/";"/tab
+ * delimiters are handled), every key is validated and duplicates within the
+ * file or already on itch.io are dropped. See lib/keys.js.
+ *
+ * Every `count` run is appended to .itch/steam-keys-<game-id>.jsonl so stock
+ * can be tracked over time; run it from cron with --alert-days to get a
+ * warning while there is still time to request more keys from Steamworks.
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const { createClient } = require('./lib/itch-api');
+const { readKeyFile, checkKeys, toUploadCsv, keyFormatter } = require('./lib/keys');
+const { encrypt, decrypt, getPassphrase } = require('./lib/vault');
+const { stringifyCsv } = require('./lib/csv');
+const { summarize, forecast, compareSnapshots } = require('./lib/inventory');
+const { statePath, appendJsonl, readJsonl } = require('./lib/store');
+const { loadBatches, saveBatches, readRecipients, addBatch, labelKeys } = require('./lib/download-keys');
+const { getFlag } = require('./lib/args');
+
 const API_KEY = process.env.ITCH_IO_API_KEY;
+const itch = createClient({ apiKey: API_KEY });
 
-async function api(endpoint, opts = {}) {
-  const url = `https://api.itch.io${endpoint}`;
-  const res = await fetch(url, {
-    headers: { 'Authorization': API_KEY },
-    ...opts
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status}: ${await res.text()}`);
-  return res.json();
+const VALUE_FLAGS = ['--write-clean', '--only', '--out', '--window', '--alert-days', '--label', '--recipients', '--batch'];
+const EXPORT_COLUMNS = ['key', 'status', 'claimed_at', 'claimed_by'];
+const DOWNLOAD_COLUMNS = ['key', 'batch', 'recipient', 'status', 'claimed_at', 'claimed_by', 'url'];
+const REPORT_LIMIT = 20;
+
+async function fetchUploadedKeys(gameId) {
+  try {
+    const steam_keys = await itch.paginate(`/games/${gameId}/steam_keys`, 'steam_keys');
+    return steam_keys.map(k => k.key).filter(Boolean);
+  } catch (e) {
+    console.log(`⚠️  Could not fetch existing keys (${e.message}) - skipping the already-uploaded check`);
+    return [];
+  }
 }
 
-async function uploadKeys(gameId, csvPath) {
-  if (!fs.existsSync(csvPath)) {
+function printKeyReport(csvPath, file, report, showKey) {
+  const column = file.header ? `"${file.header[file.keyColumn]}"` : `${file.keyColumn + 1}`;
+  console.log(`\n📋 Pre-upload report for ${csvPath}`);
+  console.log(`   ${file.header ? `Header: ${file.header.join(', ')}` : 'No header row'} (keys in column ${column})`);
+  console.log(`   ✅ Accepted:          ${report.accepted.length}`);
+  console.log(`   ❌ Invalid:           ${report.invalid.length}`);
+  console.log(`   🔁 Duplicate in file: ${report.duplicates.length}`);
+  console.log(`   ☁️  Already uploaded:  ${report.uploaded.length}`);
+
+  const list = (title, items, describe) => {
+    if (items.length === 0) return;
+    console.log(`\n${title}`);
+    items.slice(0, REPORT_LIMIT).forEach(item => console.log(`   line ${item.line}: ${describe(item)}`));
+    if (items.length > REPORT_LIMIT) console.log(`   … and ${items.length - REPORT_LIMIT} more`);
+  };
+  list('❌ Invalid keys:', report.invalid, e => `${e.key ? showKey(e.key) : '(empty)'} - ${e.reason}`);
+  list('🔁 Duplicates in file:', report.duplicates, e => `${showKey(e.key)} (first on line ${e.first_line})`);
+  list('☁️  Already uploaded:', report.uploaded, e => showKey(e.key));
+}
+
+/**
+ * Parses and validates a key CSV against the keys already on itch.io.
+ * Optionally writes the accepted keys to `cleanPath`.
+ */
+async function checkKeyFile(gameId, csvPath, { cleanPath, showKey }) {
+  if (!csvPath || !fs.existsSync(csvPath)) {
     console.error(`❌ File not found: ${csvPath}`);
     process.exit(1);
   }
 
-  const content = fs.readFileSync(csvPath, 'utf8');
-  const lines = content.split('\n').filter(l => l.trim());
-  const keys = lines.map(line => line.split(',')[0].trim()).filter(k => k);
+  const file = readKeyFile(fs.readFileSync(csvPath, 'utf8'));
+  const report = checkKeys(file.entries, await fetchUploadedKeys(gameId));
+  printKeyReport(csvPath, file, report, showKey);
+
+  if (cleanPath) {
+    fs.writeFileSync(cleanPath, toUploadCsv(report.accepted));
+    console.log(`\n🧹 Wrote ${report.accepted.length} accepted key(s) to ${cleanPath}`);
+  }
+  return report;
+}
+
+async function uploadKeys(gameId, csvPath, opts) {
+  const report = await checkKeyFile(gameId, csvPath, opts);
+  const keys = report.accepted;
 
-  console.log(`📤 Uploading ${keys.length} keys for game ${gameId}...`);
+  if (keys.length === 0) {
+    console.log('\n⚠️  No new valid keys to upload');
+    return;
+  }
+
+  console.log(`\n📤 Uploading ${keys.length} keys for game ${gameId}...`);
 
   // Note: Itch.io API uses multipart/form-data for CSV upload
-  const FormData = require('form-data');
   const form = new FormData();
-  form.append('keys', fs.createReadStream(csvPath));
+  form.append('keys', new Blob([toUploadCsv(keys)], { type: 'text/csv' }), path.basename(csvPath));
 
-  const res = await fetch(`https://api.itch.io/games/${gameId}/steam_keys`, {
-    method: 'POST',
-    headers: { 'Authorization': API_KEY, ...form.getHeaders() },
-    body: form
-  });
-
-  if (res.ok) {
-    const result = await res.json();
+  try {
+    const result = await itch.post(`/games/${gameId}/steam_keys`, form);
     console.log(`✅ Uploaded: ${result.added || keys.length} keys`);
     if (result.duplicates) console.log(`⚠️ Duplicates skipped: ${result.duplicates}`);
-  } else {
-    console.error(`❌ Upload failed: ${await res.text()}`);
+  } catch (e) {
+    console.error(`❌ Upload failed: ${e.message}`);
+    process.exitCode = 1;
   }
 }
 
-async function countKeys(gameId) {
+function inventoryFile(gameId) {
+  return statePath(`steam-keys-${gameId}.jsonl`);
+}
+
+function parseDays(value, name) {
+  const days = Number(value);
+  if (!Number.isFinite(days) || days <= 0) throw new Error(`${name} must be a positive number of days, got "${value}"`);
+  return days;
+}
+
+async function countKeys(gameId, { windowDays, alertDays }) {
   try {
-    const { steam_keys } = await api(`/games/${gameId}/steam_keys`);
-    const total = steam_keys.length;
-    const claimed = steam_keys.filter(k => k.claimed).length;
-    const available = total - claimed;
+    const steam_keys = await itch.paginate(`/games/${gameId}/steam_keys`, 'steam_keys');
+    const snapshot = summarize(steam_keys);
+    const previous = readJsonl(inventoryFile(gameId)).pop();
+    appendJsonl(inventoryFile(gameId), snapshot);
 
     console.log(`\n🎮 Game ID: ${gameId}`);
-    console.log(`   Total: ${total}`);
-    console.log(`   Claimed: ${claimed}`);
-    console.log(`   Available: ${available}`);
+    console.log(`   Total: ${snapshot.total}`);
+    console.log(`   Claimed: ${snapshot.claimed}`);
+    console.log(`   Available: ${snapshot.available}`);
+
+    if (previous) {
+      const delta = compareSnapshots(previous, snapshot);
+      const added = delta.added ? `, ${delta.added > 0 ? '+' : ''}${delta.added} total` : '';
+      console.log(`   Since ${delta.since}: +${delta.claimed} claimed${added}`);
+    }
+
+    const outlook = forecast(steam_keys, { windowDays });
+    console.log(`\n📈 Claim rate: ${outlook.perDay.toFixed(2)}/day (${outlook.claims} claim(s) over ${Math.round(outlook.days)} day(s))`);
+    if (outlook.runwayDays === null) {
+      console.log('   Runway: no recent claims, stock is not running down');
+    } else {
+      console.log(`   Runway: ${outlook.runwayDays.toFixed(1)} day(s), runs out around ${outlook.runsOutAt.slice(0, 10)}`);
+    }
+
+    if (alertDays && outlook.runwayDays !== null && outlook.runwayDays < alertDays) {
+      console.error(`\n🚨 Steam keys for game ${gameId} run out in ${outlook.runwayDays.toFixed(1)} day(s) (alert below ${alertDays}) - request more from Steamworks`);
+      process.exitCode = 2;
+    }
   } catch (e) {
     console.error(`❌ Error: ${e.message}`);
+    process.exitCode = 1;
   }
 }
 
-async function auditKeys(gameId) {
-  console.log('⚠️  This will show all raw keys. Keep output secure!\n');
+async function auditKeys(gameId, { reveal }) {
+  const showKey = keyFormatter(reveal);
+  console.log(reveal
+    ? '⚠️  Showing full keys. Keep output secure!\n'
+    : '🔒 Keys are redacted. Pass --reveal to show them in full.\n');
   try {
-    const { steam_keys } = await api(`/games/${gameId}/steam_keys`);
+    const steam_keys = await itch.paginate(`/games/${gameId}/steam_keys`, 'steam_keys');
     steam_keys.forEach(k => {
       const status = k.claimed ? `✅ ${k.claimed_at}` : '⏳ Available';
       const user = k.claimed_by ? `by @${k.claimed_by.username}` : '';
-      console.log(`${k.key} | ${status} ${user}`);
+      console.log(`${showKey(k.key)} | ${status} ${user}`);
     });
   } catch (e) {
     console.error(`❌ Error: ${e.message}`);
   }
 }
 
+function exportRecord(k) {
+  return {
+    key: k.key,
+    status: k.claimed ? 'claimed' : 'unclaimed',
+    claimed_at: k.claimed_at || null,
+    claimed_by: k.claimed_by ? k.claimed_by.username : null
+  };
+}
+
+async function exportKeys(gameId, outPath, { only }) {
+  if (!outPath) throw new Error('Usage: node steam-keys.js <game-id> export <keys.enc> [--only claimed|unclaimed]');
+  if (only && !['claimed', 'unclaimed'].includes(only)) throw new Error(`--only must be "claimed" or "unclaimed", got "${only}"`);
+
+  const steam_keys = await itch.paginate(`/games/${gameId}/steam_keys`, 'steam_keys');
+  const records = steam_keys.map(exportRecord);
+  const payload = {
+    game_id: gameId,
+    exported_at: new Date().toISOString(),
+    claimed: only === 'unclaimed' ? [] : records.filter(r => r.status === 'claimed'),
+    unclaimed: only === 'claimed' ? [] : records.filter(r => r.status === 'unclaimed')
+  };
+
+  const passphrase = await getPassphrase({ confirm: true });
+  fs.writeFileSync(outPath, JSON.stringify(encrypt(JSON.stringify(payload), passphrase), null, 2) + '\n', { mode: 0o600 });
+
+  console.log(`🔐 Exported ${payload.claimed.length} claimed and ${payload.unclaimed.length} unclaimed key(s) to ${outPath}`);
+  console.log('   Decrypt with: node steam-keys.js decrypt ' + outPath);
+}
+
+async function decryptExport(file, { out, reveal }) {
+  if (!file || !fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const payload = JSON.parse(decrypt(envelope, await getPassphrase()));
+  const records = [...payload.claimed, ...payload.unclaimed];
+
+  console.log(`🔓 Game ${payload.game_id}, exported ${payload.exported_at}: ${payload.claimed.length} claimed, ${payload.unclaimed.length} unclaimed`);
+
+  if (out) {
+    fs.writeFileSync(out, stringifyCsv(EXPORT_COLUMNS, records), { mode: 0o600 });
+    console.log(`✅ Wrote ${records.length} key(s) to ${out}`);
+    return;
+  }
+
+  const showKey = keyFormatter(reveal);
+  if (!reveal) console.log('🔒 Keys are redacted. Pass --reveal to show them, or --out <file.csv> to save them.');
+  records.forEach(r => {
+    console.log(`${showKey(r.key)} | ${r.status === 'claimed' ? `✅ ${r.claimed_at}${r.claimed_by ? ` by @${r.claimed_by}` : ''}` : '⏳ Available'}`);
+  });
+}
+
+async function fetchDownloadKeys(gameId, batch) {
+  const data = loadBatches(gameId);
+  if (batch && !data.batches.some(b => b.label === batch)) throw new Error(`Unknown batch "${batch}"`);
+  const keys = labelKeys(await itch.paginate(`/games/${gameId}/download_keys`, 'download_keys'), data);
+  return batch ? keys.filter(k => k.batch === batch) : keys;
+}
+
+async function generateDownloadKeys(gameId, countArg, { label, recipientsPath, showKey }) {
+  if (!label) throw new Error('Usage: node steam-keys.js <game-id> download generate <count> --label <batch> [--recipients <file>]');
+
+  const recipients = recipientsPath ? readRecipients(fs.readFileSync(recipientsPath, 'utf8')) : [];
+  if (!countArg && recipients.length === 0) throw new Error('Pass a key count or a --recipients file');
+  const count = countArg ? Number(countArg) : recipients.length;
+  if (!Number.isInteger(count) || count <= 0) throw new Error(`Key count must be a positive whole number, got "${countArg}"`);
+  if (recipients.length > count) throw new Error(`${recipients.length} recipients but only ${count} key(s) requested`);
+
+  // Fail on a duplicate label before creating anything
+  const data = loadBatches(gameId);
+  if (data.batches.some(b => b.label === label)) throw new Error(`Batch "${label}" already exists`);
+
+  console.log(`🔑 Generating ${count} download key(s) for game ${gameId} (batch "${label}")...`);
+  const result = await itch.post(`/games/${gameId}/download_keys`, new URLSearchParams({ count: String(count) }));
+  const created = (result && result.download_keys) || [];
+  if (created.length === 0) throw new Error('itch.io returned no keys');
+
+  addBatch(data, label, created, recipients);
+  saveBatches(gameId, data);
+
+  console.log(`✅ Created ${created.length} key(s)`);
+  created.forEach((k, i) => console.log(`   ${showKey(k.key)}${recipients[i] ? ` → ${recipients[i]}` : ''}`));
+  console.log(`\n💡 Export them for sending with: node steam-keys.js ${gameId} download export keys.csv --batch ${label}`);
+}
+
+async function listDownloadKeys(gameId, { batch, showKey }) {
+  const keys = await fetchDownloadKeys(gameId, batch);
+  const claimed = keys.filter(k => k.status === 'claimed').length;
+
+  console.log(`\n🎮 Game ID: ${gameId}${batch ? ` (batch "${batch}")` : ''}`);
+  console.log(`   Download keys: ${keys.length} (${claimed} claimed, ${keys.length - claimed} unclaimed)\n`);
+  keys.forEach(k => {
+    const status = k.status === 'claimed' ? `✅ ${k.claimed_at || 'claimed'}${k.claimed_by ? ` by @${k.claimed_by}` : ''}` : '⏳ Available';
+    console.log(`${showKey(k.key)} | ${k.batch || '-'} | ${k.recipient || '-'} | ${status}`);
+  });
+}
+
+async function exportDownloadKeys(gameId, outPath, { batch }) {
+  if (!outPath) throw new Error('Usage: node steam-keys.js <game-id> download export <out.csv> [--batch <label>]');
+
+  const keys = await fetchDownloadKeys(gameId, batch);
+  fs.writeFileSync(outPath, stringifyCsv(DOWNLOAD_COLUMNS, keys), { mode: 0o600 });
+  console.log(`✅ Wrote ${keys.length} download key(s) to ${outPath}`);
+}
+
+async function revokeDownloadKeys(gameId, label, { dryRun }) {
+  if (!label) throw new Error('Usage: node steam-keys.js <game-id> download revoke <batch> [--dry-run]');
+
+  const data = loadBatches(gameId);
+  const batch = data.batches.find(b => b.label === label);
+  if (!batch) throw new Error(`Unknown batch "${label}"`);
+
+  const keys = await fetchDownloadKeys(gameId, label);
+  const unclaimed = keys.filter(k => k.status === 'unclaimed');
+  console.log(`🗑️  Batch "${label}": ${keys.length - unclaimed.length} claimed key(s) kept, ${unclaimed.length} unclaimed to revoke${dryRun ? ' (dry run)' : ''}`);
+  if (dryRun) return;
+
+  const revoked = new Set();
+  for (const k of unclaimed) {
+    try {
+      await itch.delete(`/games/${gameId}/download_keys/${k.id}`);
+      revoked.add(String(k.id));
+    } catch (e) {
+      console.error(`   ❌ Key ${k.id}: ${e.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  // Forget revoked keys, and ids itch.io no longer knows about
+  const live = new Set(keys.map(k => String(k.id)));
+  batch.keys = batch.keys.filter(k => live.has(String(k.id)) && !revoked.has(String(k.id)));
+  if (batch.keys.length === 0) data.batches = data.batches.filter(b => b !== batch);
+  saveBatches(gameId, data);
+
+  console.log(`✅ Revoked ${revoked.size}/${unclaimed.length} key(s)`);
+}
+
+async function downloadKeys(gameId, subcommand, arg, { args, showKey }) {
+  switch (subcommand) {
+    case 'generate':
+      return generateDownloadKeys(gameId, arg, { label: getFlag(args, '--label'), recipientsPath: getFlag(args, '--recipients'), showKey });
+    case 'list':
+      return listDownloadKeys(gameId, { batch: getFlag(args, '--batch'), showKey });
+    case 'export':
+      return exportDownloadKeys(gameId, arg, { batch: getFlag(args, '--batch') });
+    case 'revoke':
+      return revokeDownloadKeys(gameId, arg, { dryRun: args.includes('--dry-run') });
+    default:
+      throw new Error(`Unknown download command: ${subcommand || '(none)'} (expected generate, list, export or revoke)`);
+  }
+}
+
 async function main() {
-  const [gameId, command, arg] = process.argv.slice(2);
+  const args = process.argv.slice(2);
+  const positional = args.filter((a, i) => !a.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+  const reveal = args.includes('--reveal');
+
+  // Decrypting a local export needs neither a game nor an API key
+  if (positional[0] === 'decrypt') {
+    await decryptExport(positional[1], { out: getFlag(args, '--out'), reveal });
+    return;
+  }
+
+  const [gameId, command, arg, subArg] = positional;
 
   if (!API_KEY) {
     console.error('Set ITCH_IO_API_KEY environment variable');
@@ -104,8 +380,23 @@ async function main() {
     console.log('');
     console.log('Commands:');
     console.log('  upload <keys.csv>  Upload keys from CSV');
-    console.log('  count              Show key inventory stats');
-    console.log('  audit              List all keys (sensitive)');
+    console.log('  check <keys.csv>   Validate a key CSV without uploading');
+    console.log('  count              Show key inventory, claim rate and runway');
+    console.log('  audit              List all keys (redacted unless --reveal)');
+    console.log('  export <keys.enc>  Save claimed/unclaimed keys to an encrypted file');
+    console.log('  download generate <count> --label <batch> [--recipients <file>]');
+    console.log('  download list [--batch <label>]');
+    console.log('  download export <out.csv> [--batch <label>]');
+    console.log('  download revoke <batch> [--dry-run]');
+    console.log('');
+    console.log('  node steam-keys.js decrypt <keys.enc> [--out keys.csv]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --write-clean <out.csv>  Write accepted keys to a cleaned CSV (upload/check)');
+    console.log('  --reveal                 Show keys in full');
+    console.log('  --only <status>          export: claimed or unclaimed only');
+    console.log('  --window <days>          count: claim-rate window (default 30)');
+    console.log('  --alert-days <days>      count: exit 2 when runway is shorter');
     console.log('');
     console.log('CSV format: AAAAA-BBBBB-CCCCC,Note');
     process.exit(1);
@@ -113,13 +404,27 @@ async function main() {
 
   switch (command) {
     case 'upload':
-      await uploadKeys(gameId, arg);
+      await uploadKeys(gameId, arg, { cleanPath: getFlag(args, '--write-clean'), showKey: keyFormatter(reveal) });
+      break;
+    case 'check':
+      await checkKeyFile(gameId, arg, { cleanPath: getFlag(args, '--write-clean'), showKey: keyFormatter(reveal) });
       break;
-    case 'count':
-      await countKeys(gameId);
+    case 'count': {
+      const alertDays = getFlag(args, '--alert-days') || process.env.ITCH_KEY_ALERT_DAYS;
+      await countKeys(gameId, {
+        windowDays: parseDays(getFlag(args, '--window') || 30, '--window'),
+        alertDays: alertDays ? parseDays(alertDays, '--alert-days') : null
+      });
       break;
+    }
     case 'audit':
-      await auditKeys(gameId);
+      await auditKeys(gameId, { reveal });
+      break;
+    case 'export':
+      await exportKeys(gameId, arg, { only: getFlag(args, '--only') });
+      break;
+    case 'download':
+      await downloadKeys(gameId, arg, subArg, { args, showKey: keyFormatter(reveal) });
       break;
     default:
       console.error(`Unknown command: ${command}`);
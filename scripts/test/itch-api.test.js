@@ -0,0 +1,97 @@
+/**
+ * lib/itch-api.js tests against a local mock server, reached the way CI
+ * would through ITCH_IO_API_URL. Run with: node --test scripts/test/
+ */
+
+const assert = require('assert');
+const http = require('http');
+const test = require('node:test');
+
+const { createClient, ItchApiError } = require('../lib/itch-api');
+
+// Each request shifts the next planned response for its path
+const plans = new Map();
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ method: req.method, path: url.pathname, query: url.searchParams, auth: req.headers.authorization, at: Date.now() });
+  const next = (plans.get(url.pathname) || []).shift() || { status: 404, body: { errors: ['no plan'] } };
+  const { status, body, headers = {} } = typeof next === 'function' ? next(url) : next;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+});
+
+let client;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.ITCH_IO_API_URL = `http://127.0.0.1:${server.address().port}/`;
+  // A long backoff, so a test only passes quickly when Retry-After is honored
+  client = createClient({ apiKey: 'test-key', retryDelay: 10000 });
+});
+
+test.after(() => {
+  delete process.env.ITCH_IO_API_URL;
+  server.close();
+});
+
+test.beforeEach(() => {
+  plans.clear();
+  requests.length = 0;
+});
+
+test('retries 429 and 503 after the Retry-After delay', async () => {
+  plans.set('/games', [
+    { status: 429, body: { errors: ['slow down'] }, headers: { 'Retry-After': '1' } },
+    { status: 503, body: null, headers: { 'Retry-After': '0' } },
+    { status: 200, body: { games: [{ id: 1 }] } }
+  ]);
+
+  const started = Date.now();
+  const data = await client.get('/games');
+  const elapsed = Date.now() - started;
+
+  assert.deepStrictEqual(data, { games: [{ id: 1 }] });
+  assert.strictEqual(requests.length, 3);
+  assert.ok(requests.every(r => r.auth === 'test-key'));
+  assert.ok(requests[1].at - requests[0].at >= 950, 'waits the 1s Retry-After after the 429');
+  assert.ok(elapsed < 5000, `took ${elapsed}ms - the 10s backoff was used instead of Retry-After`);
+});
+
+test('does not retry a 503 for a POST', async () => {
+  plans.set('/games/1/steam_keys', [
+    { status: 503, body: { errors: ['maintenance'] }, headers: { 'Retry-After': '0' } },
+    { status: 200, body: { added: 1 } }
+  ]);
+
+  await assert.rejects(client.post('/games/1/steam_keys', 'KEY'), { name: 'ItchApiError', status: 503 });
+  assert.strictEqual(requests.length, 1);
+});
+
+test('paginate stops on a short page', async () => {
+  const page = url => {
+    const n = Number(url.searchParams.get('page'));
+    const comments = n === 1 ? [{ id: 1 }, { id: 2 }] : [{ id: 3 }];
+    return { status: 200, body: { comments, per_page: 2, page: n } };
+  };
+  plans.set('/games/1/comments', [page, page, page]);
+
+  const comments = await client.paginate('/games/1/comments', 'comments');
+
+  assert.deepStrictEqual(comments.map(c => c.id), [1, 2, 3]);
+  assert.deepStrictEqual(requests.map(r => r.query.get('page')), ['1', '2']);
+});
+
+test('errors carry the status and response body', async () => {
+  plans.set('/games/404', [{ status: 404, body: { errors: ['invalid game'] } }]);
+
+  const error = await client.get('/games/404').catch(e => e);
+
+  assert.ok(error instanceof ItchApiError);
+  assert.strictEqual(error.status, 404);
+  assert.deepStrictEqual(error.body, { errors: ['invalid game'] });
+  assert.strictEqual(error.message, 'HTTP 404: invalid game');
+  assert.strictEqual(error.method, 'GET');
+  assert.match(error.url, /\/games\/404$/);
+});
@@ -0,0 +1,116 @@
+/**
+ * publish.js pipeline tests, run against a fake butler (--butler) and the
+ * simulated uploader. Run with: node --test scripts/test/
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { spawnSync } = require('child_process');
+
+const PUBLISH = path.join(__dirname, '..', 'publish.js');
+
+/**
+ * A butler stand-in speaking the --json protocol. Pushes are appended to
+ * $FAKE_BUTLER_LOG; a target whose channel is in $FAKE_BUTLER_FAIL fails.
+ */
+const FAKE_BUTLER = `#!${process.execPath}
+const fs = require('fs');
+const [command, , target] = process.argv.slice(2);
+if (command === '-v') return console.log('v15.21.0');
+if (command === 'status') return console.log('status ok');
+fs.appendFileSync(process.env.FAKE_BUTLER_LOG, target + '\\n');
+const channel = target.split(':')[1];
+if ((process.env.FAKE_BUTLER_FAIL || '').split(',').includes(channel)) {
+  console.log(JSON.stringify({ type: 'log', level: 'error', message: 'connection reset' }));
+  process.exit(1);
+}
+console.log(JSON.stringify({ type: 'progress', progress: 1 }));
+console.log(JSON.stringify({ type: 'log', level: 'info', message: '1.0 KiB patch' }));
+`;
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function setup() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-test-'));
+  dirs.push(dir);
+  const channels = {};
+  ['html5', 'windows'].forEach(channel => {
+    const build = path.join(dir, 'build', channel);
+    fs.mkdirSync(build, { recursive: true });
+    fs.writeFileSync(path.join(build, channel === 'html5' ? 'index.html' : 'game.exe'), `${channel} build`);
+    fs.writeFileSync(path.join(build, 'debug.pdb'), 'symbols');
+    channels[channel] = build;
+  });
+  const config = path.join(dir, 'itch-publish.json');
+  fs.writeFileSync(config, JSON.stringify({ user: 'me', game: 'demo', version: '1.0.0', channels, ignore: ['*.pdb'] }));
+
+  const butler = path.join(dir, 'butler');
+  fs.writeFileSync(butler, FAKE_BUTLER, { mode: 0o755 });
+  return { dir, config, butler, log: path.join(dir, 'pushes.log'), state: path.join(dir, '.itch') };
+}
+
+function run(env, args, extraEnv = {}) {
+  const result = spawnSync(process.execPath, [PUBLISH, env.config, ...args], {
+    cwd: env.dir,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, ITCH_STATE_DIR: env.state, FAKE_BUTLER_LOG: env.log, ...extraEnv }
+  });
+  return { code: result.status, output: result.stdout + result.stderr };
+}
+
+function pushes(env) {
+  return fs.existsSync(env.log) ? fs.readFileSync(env.log, 'utf8').trim().split('\n') : [];
+}
+
+test('a failed channel is retried with --resume while pushed ones are skipped', () => {
+  const env = setup();
+
+  const first = run(env, ['--butler', env.butler, '--retries', '0'], { FAKE_BUTLER_FAIL: 'windows' });
+  assert.strictEqual(first.code, 1, first.output);
+  assert.deepStrictEqual(pushes(env).sort(), ['me/demo:html5', 'me/demo:windows']);
+
+  const state = JSON.parse(fs.readFileSync(path.join(env.state, 'publish-me-demo.json'), 'utf8'));
+  assert.strictEqual(state.channels.html5.status, 'success');
+  assert.strictEqual(state.channels.windows.status, 'failed');
+  assert.strictEqual(state.channels.windows.error, 'connection reset');
+
+  const resumed = run(env, ['--butler', env.butler, '--retries', '0', '--resume']);
+  assert.strictEqual(resumed.code, 0, resumed.output);
+  assert.match(resumed.output, /\[html5\] Skipping \(already pushed/);
+  assert.deepStrictEqual(pushes(env).slice(2), ['me/demo:windows']);
+
+  // History records what each run actually pushed
+  const history = fs.readFileSync(path.join(env.state, 'publish-history-me-demo.jsonl'), 'utf8')
+    .trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(history.map(h => h.channels.map(c => c.channel)), [['html5'], ['windows']]);
+  assert.ok(history.every(h => h.version === '1.0.0'));
+});
+
+test('retries a failing push up to --retries times before giving up', () => {
+  const env = setup();
+  fs.writeFileSync(env.config, JSON.stringify({
+    ...JSON.parse(fs.readFileSync(env.config, 'utf8')),
+    channels: { windows: path.join(env.dir, 'build', 'windows') }
+  }));
+
+  const result = run(env, ['--butler', env.butler, '--retries', '1'], { FAKE_BUTLER_FAIL: 'windows' });
+  assert.strictEqual(result.code, 1, result.output);
+  assert.deepStrictEqual(pushes(env), ['me/demo:windows', 'me/demo:windows']);
+});
+
+test('--dry-run simulates the upload without butler and applies the ignore globs', () => {
+  const env = setup();
+
+  const result = run(env, ['--dry-run'], { PATH: '', BUTLER_PATH: path.join(env.dir, 'missing-butler') });
+  assert.strictEqual(result.code, 0, result.output);
+  assert.match(result.output, /\[html5\] Would push 1 file\(s\), 11 B to me\/demo:html5/);
+  assert.match(result.output, /\[windows\] Would push 1 file\(s\), 13 B to me\/demo:windows/);
+  assert.doesNotMatch(result.output, /debug\.pdb/);
+  assert.deepStrictEqual(pushes(env), []);
+  assert.ok(!fs.existsSync(path.join(env.state, 'publish-history-me-demo.jsonl')));
+});
@@ -0,0 +1,127 @@
+/**
+ * lib/zip.js extraction tests. Run with: node --test scripts/test/
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const zlib = require('zlib');
+
+const { openZip, crc32 } = require('../lib/zip');
+
+/**
+ * Writes a zip with Unix modes. Entries are [name, contents, mode]; a mode
+ * of 0o120000 makes a symlink whose contents are its target.
+ */
+function writeZip(file, entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(([name, contents, mode = 0o100644]) => {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x031e, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  fs.writeFileSync(file, Buffer.concat([...locals, directory, end]));
+}
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+async function extract(entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'build.zip');
+  writeZip(file, entries);
+  const zip = openZip(file);
+  try {
+    const count = await zip.extract(path.join(dir, 'stage', 'osx'));
+    return { dir, count };
+  } catch (e) {
+    return { dir, error: e };
+  } finally {
+    zip.close();
+  }
+}
+
+const SYMLINK = 0o120777;
+
+test('extracts files, executable bits and bundle symlinks', async () => {
+  const { dir, count, error } = await extract([
+    ['Game.app/Contents/Info.plist', '<plist/>'],
+    ['Game.app/Contents/MacOS/Game', 'binary', 0o100755],
+    ['Game.app/Contents/Frameworks/Lib.framework/Versions/A/Lib', 'lib'],
+    ['Game.app/Contents/Frameworks/Lib.framework/Versions/Current', 'A', SYMLINK],
+    ['Game.app/Contents/Frameworks/Lib.framework/Lib', 'Versions/Current/Lib', SYMLINK]
+  ]);
+  assert.ifError(error);
+  assert.strictEqual(count, 3);
+
+  const app = path.join(dir, 'stage', 'osx', 'Game.app', 'Contents');
+  assert.strictEqual(fs.statSync(path.join(app, 'MacOS', 'Game')).mode & 0o777, 0o755);
+  assert.strictEqual(fs.readFileSync(path.join(app, 'Frameworks', 'Lib.framework', 'Lib'), 'utf8'), 'lib');
+});
+
+test('refuses chained symlinks that escape the staging folder', async () => {
+  const { dir, error } = await extract([
+    ['Game.app/a/b/t', '../..', SYMLINK],
+    ['Game.app/a/b/s', 't/../..', SYMLINK],
+    ['Game.app/a/b/s/PWNED.txt', 'pwned']
+  ]);
+  assert.ok(error, 'extraction should fail');
+  assert.match(error.message, /outside the archive|collides/);
+  assert.ok(!fs.existsSync(path.join(dir, 'stage', 'PWNED.txt')));
+});
+
+test('refuses a symlink that only escapes through a later one', async () => {
+  const { dir, error } = await extract([
+    ['Game.app/a/b/s', 't/../..', SYMLINK],
+    ['Game.app/a/b/t', '../..', SYMLINK]
+  ]);
+  assert.ok(error, 'extraction should fail');
+  assert.match(error.message, /symlink Game\.app\/a\/b\/s points outside the archive/);
+  assert.ok(!fs.existsSync(path.join(dir, 'stage', 'osx', 'Game.app', 'a', 'b', 's')));
+});
+
+test('refuses entries with ".." paths', async () => {
+  const { dir, error } = await extract([['../../evil.txt', 'x']]);
+  assert.ok(error);
+  assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+});
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/**
+ * itch.io Webhook Receiver
+ *
+ * Receives itch.io purchase/claim webhooks, verifies them, stores every
+ * event locally and fans it out to configurable sinks.
+ *
+ * Usage:
+ *   node webhooks.js serve [--config itch-webhooks.json] [--port 8787]
+ *   node webhooks.js list [--limit 20]
+ *   node webhooks.js replay <event-id|payload.json> [--to <url>]
+ *
+ * Config format:
+ * {
+ *   "secret": "shared-secret",          // or set ITCH_WEBHOOK_SECRET
+ *   "port": 8787,
+ *   "path": "/itch",
+ *   "sinks": [
+ *     { "type": "file", "path": "./sales.jsonl" },
+ *     { "type": "command", "command": ["./notify.sh", "--sale"] },
+ *     { "type": "webhook", "url": "https://discord.com/api/webhooks/...", "style": "discord" }
+ *   ]
+ * }
+ *
+ * Verification accepts any of: an `X-Itch-Signature` header holding the
+ * hex HMAC-SHA256 of the raw body, a `secret` field in the payload, or a
+ * `?secret=` query parameter on the webhook URL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { statePath, appendJsonl, readJsonl } = require('./lib/store');
+const { getFlag } = require('./lib/args');
+
+const MAX_BODY = 1024 * 1024;
+const COMMAND_TIMEOUT = 30000;
+const EVENTS_FILE = () => statePath('webhook-events.jsonl');
+
+function log(msg, type = 'info') {
+  const icons = { info: 'ℹ️', success: '✅', error: '❌', warn: '⚠️' };
+  console.log(`${icons[type] || 'ℹ️'} ${msg}`);
+}
+
+function loadConfig(configPath, required) {
+  if (required && !fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+
+  config.secret = process.env.ITCH_WEBHOOK_SECRET || config.secret || null;
+  config.path = config.path || '/itch';
+  config.sinks = config.sinks || [];
+
+  config.sinks.forEach((sink, i) => {
+    if (sink.type === 'file' && !sink.path) throw new Error(`sinks[${i}]: file sink needs "path"`);
+    if (sink.type === 'command' && !Array.isArray(sink.command)) throw new Error(`sinks[${i}]: command sink needs "command" as an argv array`);
+    if (sink.type === 'webhook' && !sink.url) throw new Error(`sinks[${i}]: webhook sink needs "url"`);
+    if (!['file', 'command', 'webhook'].includes(sink.type)) throw new Error(`sinks[${i}]: unknown sink type "${sink.type}"`);
+  });
+
+  return config;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sign(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function verify(secret, { rawBody, headers, query, payload }) {
+  if (!secret) return true;
+
+  const signature = (headers['x-itch-signature'] || '').replace(/^sha256=/, '');
+  if (signature && safeEqual(signature, sign(secret, rawBody))) return true;
+  if (payload.secret && safeEqual(payload.secret, secret)) return true;
+  if (query.get('secret') && safeEqual(query.get('secret'), secret)) return true;
+  return false;
+}
+
+function parsePayload(rawBody, contentType = '') {
+  const text = rawBody.toString('utf8');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  // itch.io always sends an object; null, strings and arrays are not webhooks
+  const payload = JSON.parse(text);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('payload is not an object');
+  return payload;
+}
+
+function eventType(payload) {
+  if (payload.type || payload.event) return payload.type || payload.event;
+  if (payload.purchase_id || payload.purchase) return 'purchase';
+  if (payload.download_key_id || payload.download_key) return 'claim';
+  return 'unknown';
+}
+
+function toEvent(payload) {
+  // Never store the shared secret alongside the event
+  const { secret, ...clean } = payload;
+  return {
+    id: crypto.randomUUID(),
+    received_at: new Date().toISOString(),
+    type: eventType(clean),
+    payload: clean
+  };
+}
+
+function describe(event) {
+  const p = event.payload;
+  const game = p.game_title || p.game?.title || p.game_id || 'your game';
+  const price = p.price !== undefined ? ` for $${(Number(p.price) / 100).toFixed(2)}` : '';
+
+  switch (event.type) {
+    case 'purchase':
+      return `💰 New purchase of ${game}${price}`;
+    case 'claim':
+      return `🔑 Download key claimed for ${game}`;
+    default:
+      return `📨 itch.io ${event.type} event for ${game}`;
+  }
+}
+
+/**
+ * Runs a command sink with the event as JSON on stdin. A command that
+ * can't be started or exits non-zero fails the sink; one that exits
+ * without reading stdin (EPIPE) is judged by its exit code alone.
+ */
+function runCommand(sink, event) {
+  return new Promise((resolve, reject) => {
+    const [cmd, ...args] = sink.command;
+    const child = spawn(cmd, args, {
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { ...process.env, ITCH_EVENT_ID: event.id, ITCH_EVENT_TYPE: event.type }
+    });
+    // Not spawn's own timeout option: its timer outlives a command that failed to start
+    const timeout = sink.timeout || COMMAND_TIMEOUT;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeout);
+    let settled = false;
+    const settle = err => {
+      clearTimeout(timer);
+      if (settled) return;
+      settled = true;
+      if (err) reject(err);
+      else resolve();
+    };
+
+    child.on('error', err => settle(new Error(`${cmd} could not be run: ${err.message}`)));
+    child.on('close', (code, signal) => {
+      if (code === 0) settle();
+      else if (timedOut) settle(new Error(`${cmd} timed out after ${timeout}ms`));
+      else settle(new Error(signal ? `${cmd} was stopped by ${signal}` : `${cmd} exited with code ${code}`));
+    });
+    child.stdin.on('error', err => {
+      if (err.code !== 'EPIPE') settle(new Error(`writing to ${cmd}: ${err.message}`));
+    });
+    child.stdin.end(JSON.stringify(event) + '\n');
+  });
+}
+
+async function postWebhook(sink, event) {
+  const text = describe(event);
+  const bodies = {
+    discord: { content: text },
+    slack: { text },
+    json: event
+  };
+  const body = bodies[sink.style || 'json'];
+  if (!body) throw new Error(`unknown webhook style "${sink.style}"`);
+
+  const res = await fetch(sink.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(sink.headers || {}) },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(sink.timeout || COMMAND_TIMEOUT)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+const SINKS = {
+  file: async (sink, event) => appendJsonl(path.resolve(sink.path), event),
+  command: runCommand,
+  webhook: postWebhook
+};
+
+async function dispatch(config, event) {
+  const results = await Promise.allSettled(config.sinks.map(sink => SINKS[sink.type](sink, event)));
+
+  results.forEach((r, i) => {
+    const sink = config.sinks[i];
+    const name = sink.name || `${sink.type}#${i}`;
+    if (r.status === 'rejected') log(`Sink ${name} failed for ${event.id}: ${r.reason.message}`, 'error');
+  });
+
+  return results.every(r => r.status === 'fulfilled');
+}
+
+function record(payload) {
+  const event = toEvent(payload);
+  appendJsonl(EVENTS_FILE(), event);
+  log(`${describe(event)} (${event.id})`, 'success');
+  return event;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        // Stop reading but keep the socket, so the 413 reaches the client
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function serve(config, port) {
+  if (!config.secret) log('No secret configured — accepting unverified webhooks', 'warn');
+  if (config.sinks.length === 0) log('No sinks configured — events are only stored locally', 'warn');
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const reply = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && url.pathname === '/health') return reply(200, { ok: true });
+    if (url.pathname !== config.path) return reply(404, { error: 'not found' });
+    if (req.method !== 'POST') return reply(405, { error: 'method not allowed' });
+
+    try {
+      const rawBody = await readBody(req);
+      let payload;
+      try {
+        payload = parsePayload(rawBody, req.headers['content-type']);
+      } catch {
+        return reply(400, { error: 'invalid payload' });
+      }
+
+      if (!verify(config.secret, { rawBody, headers: req.headers, query: url.searchParams, payload })) {
+        log(`Rejected unverified webhook from ${req.socket.remoteAddress}`, 'warn');
+        return reply(401, { error: 'invalid signature' });
+      }
+
+      // Acknowledge before dispatching so slow sinks never make itch.io retry
+      const event = record(payload);
+      reply(200, { ok: true, id: event.id });
+      await dispatch(config, event);
+    } catch (e) {
+      if (e.status === 413) {
+        // The rest of the body is never read, so the connection can't be reused
+        reply(413, { error: e.message }, { Connection: 'close' });
+        res.on('finish', () => req.socket.end());
+      } else if (!res.headersSent) {
+        reply(e.status || 500, { error: e.message });
+      } else {
+        log(e.message, 'error');
+      }
+    }
+  });
+
+  server.listen(port, () => {
+    log(`Listening on http://localhost:${port}${config.path}`, 'success');
+    log(`Events stored in ${EVENTS_FILE()}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+function listEvents(limit) {
+  const events = readJsonl(EVENTS_FILE()).slice(-limit);
+  if (events.length === 0) {
+    console.log(`No events stored in ${EVENTS_FILE()}`);
+    return;
+  }
+  console.log(`\n📨 Last ${events.length} event(s):\n`);
+  events.forEach(e => {
+    console.log(`${e.received_at} ${e.id}`);
+    console.log(`   ${describe(e)}`);
+  });
+}
+
+async function replay(config, target, to) {
+  let events;
+  const fromFile = fs.existsSync(target);
+
+  if (fromFile) {
+    // Recorded samples: a raw payload, an array of payloads, or stored events
+    const data = JSON.parse(fs.readFileSync(target, 'utf8'));
+    events = [].concat(data).map(d => (d.payload && d.received_at ? d : { payload: d }));
+  } else {
+    const found = readJsonl(EVENTS_FILE()).find(e => e.id === target);
+    if (!found) throw new Error(`No stored event with id ${target}`);
+    events = [found];
+  }
+
+  for (const stored of events) {
+    if (to) {
+      // Deliver to a running receiver, signed like a real itch.io request
+      const body = JSON.stringify(stored.payload);
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.secret) headers['X-Itch-Signature'] = `sha256=${sign(config.secret, body)}`;
+      const res = await fetch(to, { method: 'POST', headers, body });
+      log(`Replayed to ${to}: HTTP ${res.status}`, res.ok ? 'success' : 'error');
+      if (!res.ok) process.exitCode = 1;
+      continue;
+    }
+
+    // Samples from a file are treated as fresh deliveries; stored events keep their id
+    const event = fromFile ? record(stored.payload) : stored;
+    if (!fromFile) log(`Replaying ${describe(event)} (${event.id})`);
+    if (!(await dispatch(config, event))) process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, arg] = args.filter((a, i) => !a.startsWith('--') && !(args[i - 1] || '').startsWith('--'));
+  const config = loadConfig(getFlag(args, '--config', 'itch-webhooks.json'), args.includes('--config'));
+
+  switch (command) {
+    case 'serve':
+      serve(config, Number(getFlag(args, '--port', config.port || 8787)));
+      break;
+    case 'list':
+      listEvents(Number(getFlag(args, '--limit', 20)));
+      break;
+    case 'replay':
+      if (!arg) throw new Error('Usage: node webhooks.js replay <event-id|payload.json> [--to <url>]');
+      await replay(config, arg, getFlag(args, '--to'));
+      break;
+    default:
+      console.log('Usage: node webhooks.js <command> [options]');
+      console.log('');
+      console.log('Commands:');
+      console.log('  serve                       Start the webhook receiver');
+      console.log('  list                        Show recently stored events');
+      console.log('  replay <id|payload.json>    Re-send an event to the configured sinks');
+      console.log('');
+      console.log('Options:');
+      console.log('  --config <file>   Sink/secret config (default: itch-webhooks.json)');
+      console.log('  --port <n>        Port for serve (default: 8787)');
+      console.log('  --to <url>        replay: POST to a running receiver instead');
+      process.exit(1);
+  }
+}
+
+main().catch(e => {
+  log(e.message, 'error');
+  process.exit(1);
+});